@@ -0,0 +1,194 @@
+// MEGHTOSH Viewer API
+// Public surface for driving the viewer: MEGHTOSH.viewer for scripts on this
+// page, and the same methods and events over postMessage for pages that embed
+// the viewer with MEGHTOSH.create() (embed.js). Each embedded viewer is its own
+// document, so any number of them can live on one page.
+
+const VIEWER_EVENTS = ['itemclick', 'itemdblclick', 'viewchange', 'itemsloaded', 'configchange'];
+const VIEWER_MESSAGE_SOURCE = 'meghtosh'; // Tags our postMessage traffic
+
+const viewerApiState = {
+    options: {
+        lightbox: true, // Open the lightbox on click
+        download: true // Download on double-click
+    },
+    lastView: null,
+    lastItemsLoaded: null, // Detail of the last 'itemsloaded', replayed to pages that connect later
+    parent: null // {window, origin} once an embedding page has connected
+};
+
+/**
+ * Validate item entries (manifest item format)
+ * @param {Array} entries - Items as in photos-data.json
+ * @param {string} source - Name shown in the diagnostics panel
+ */
+function parseViewerItems(entries, source) {
+    if (!Array.isArray(entries)) throw new TypeError('Items must be an array');
+
+    const manifest = parseManifest({ albums: MANIFEST_ALBUMS, items: entries });
+    showDiagnostics(source, manifest.issues);
+    return manifest.items.map(item => ({ ...item }));
+}
+
+// ============================================================================
+// Methods
+// ============================================================================
+
+/**
+ * Show these items instead of the current album or placeholder world
+ * @param {Array} entries - Items as in photos-data.json
+ * @returns {Promise<number>} Number of items shown (invalid entries are dropped)
+ */
+async function setViewerItems(entries) {
+    await itemDataReady; // A manifest still loading would replace them otherwise
+    const items = parseViewerItems(entries, 'setItems()');
+    replaceItemData(items);
+    return items.length;
+}
+
+/**
+ * Add items after the current ones, keeping the camera where it is
+ * @param {Array} entries - Items as in photos-data.json
+ * @returns {Promise<number>} Total number of items
+ */
+async function appendViewerItems(entries) {
+    await itemDataReady;
+    if (!usingRealData) return setViewerItems(entries);
+
+    // Validate together with the current items (hidden albums too) so ids stay unique
+    const items = parseViewerItems(LOADED_ITEMS.concat(entries), 'appendItems()');
+    replaceItemData(items, { append: true });
+    return items.length;
+}
+
+/**
+ * Select items by id (replaces the selection)
+ * @param {Array<string|number>} ids - Item ids, [] to clear
+ * @returns {Array<string>} Selected ids
+ */
+function selectViewerItems(ids) {
+    setSelection(new Set(ids.map(String)));
+    return getViewerSelection();
+}
+
+function getViewerSelection() {
+    return Array.from(state.selectedItemIds);
+}
+
+/**
+ * Camera position: the world point in the middle of the viewport and the zoom
+ * @returns {Object} {x, y, zoom}
+ */
+function getViewerView() {
+    const center = screenToWorld(state.viewportWidth / 2, state.viewportHeight / 2);
+    return { x: center.x, y: center.y, zoom: state.zoom };
+}
+
+/**
+ * Turn built-in click behaviour on or off
+ * @param {Object} options - {lightbox, download}
+ */
+function setViewerOptions(options) {
+    Object.keys(viewerApiState.options).forEach(key => {
+        if (typeof options[key] === 'boolean') viewerApiState.options[key] = options[key];
+    });
+    return { ...viewerApiState.options };
+}
+
+// Callable from scripts and over postMessage; results must be structured-cloneable
+const VIEWER_API_METHODS = {
+    setItems: setViewerItems,
+    appendItems: appendViewerItems,
+    flyTo,
+    zoomToItem,
+    zoomToFit,
+    select: selectViewerItems,
+    getSelection: getViewerSelection,
+    getView: getViewerView,
+    setOptions: setViewerOptions,
+    configure: configureViewer // Grid size, zoom limits, ... (config.js)
+};
+
+// ============================================================================
+// Events
+// ============================================================================
+
+/**
+ * Announce camera moves (called from render(); only fires when the view changed)
+ */
+function updateViewChange() {
+    const view = getViewerView();
+    const last = viewerApiState.lastView;
+    if (last && last.x === view.x && last.y === view.y && last.zoom === view.zoom) return;
+
+    viewerApiState.lastView = view;
+    emitViewerEvent('viewchange', view);
+}
+
+// Built-in behaviour that setOptions() can turn off
+onViewerEvent('itemclick', event => {
+    if (!viewerApiState.options.lightbox) event.preventDefault();
+});
+onViewerEvent('itemdblclick', event => {
+    if (!viewerApiState.options.download) event.preventDefault();
+});
+
+// ============================================================================
+// Embedding Bridge
+// ============================================================================
+
+function postToParent(message) {
+    const parent = viewerApiState.parent;
+    if (!parent) return;
+    // Pages opened from file:// have an opaque "null" origin that can't be targeted
+    parent.window.postMessage({ source: VIEWER_MESSAGE_SOURCE, ...message }, parent.origin === 'null' ? '*' : parent.origin);
+}
+
+/**
+ * Handle {type: 'connect'} and {type: 'call', id, method, args} from the embedding page
+ */
+function handleViewerMessage(e) {
+    const message = e.data;
+    if (e.source !== window.parent || !message || message.source !== VIEWER_MESSAGE_SOURCE) return;
+
+    if (message.type === 'connect') {
+        viewerApiState.parent = { window: e.source, origin: e.origin };
+        postToParent({ type: 'ready', view: getViewerView() });
+        // The manifest usually loads before the page connects
+        if (viewerApiState.lastItemsLoaded) {
+            postToParent({ type: 'event', name: 'itemsloaded', detail: viewerApiState.lastItemsLoaded });
+        }
+        return;
+    }
+    if (message.type !== 'call') return;
+
+    Promise.resolve()
+        .then(() => {
+            const method = VIEWER_API_METHODS[message.method];
+            if (!method) throw new Error(`Unknown method "${message.method}"`);
+            return method(...(message.args || []));
+        })
+        .then(
+            result => postToParent({ type: 'result', id: message.id, result }),
+            error => postToParent({ type: 'result', id: message.id, error: error.message })
+        );
+}
+
+VIEWER_EVENTS.forEach(name => {
+    onViewerEvent(name, event => postToParent({ type: 'event', name, detail: event.detail }));
+});
+onViewerEvent('itemsloaded', event => {
+    viewerApiState.lastItemsLoaded = event.detail;
+});
+
+if (window.parent !== window) {
+    window.addEventListener('message', handleViewerMessage);
+}
+
+window.MEGHTOSH = Object.assign(window.MEGHTOSH || {}, {
+    viewer: {
+        ...VIEWER_API_METHODS,
+        on: onViewerEvent,
+        off: offViewerEvent
+    }
+});
@@ -1,10 +1,10 @@
 // MEGHTOSH Virtualized Grid Viewer
-// Core virtualization engine with pan, zoom, and render logic
+// Browser renderer: pan, zoom and the DOM tiles for what engine.js says is visible
 // Note: GRID_COLUMNS and ITEM_SIZE are defined in data.js
 
-// Constants
-const BUFFER_SIZE = 3; // 3 row/column margin for smooth scrolling (prevents pop-in)
-const MAX_DOM_NODES = 500; // Maximum number of DOM nodes to keep in memory
+// Render budget (config.js; see applyRendererConfig)
+let BUFFER_SIZE = VIEWER_CONFIG.bufferSize; // Row/column margin for smooth scrolling (prevents pop-in)
+let MAX_DOM_NODES = VIEWER_CONFIG.maxDomNodes; // Maximum number of DOM nodes to keep in memory
 
 // DOM Elements
 const viewport = document.getElementById('viewport');
@@ -23,31 +23,37 @@ let state = {
     viewportWidth: 0,
     viewportHeight: 0,
     canvasWidth: 0,
-    canvasHeight: 0
+    canvasHeight: 0,
+    focusedItemId: null, // Keyboard focus (string id), see keyboard.js
+    selectedItemIds: new Set() // Multi-selection (string ids), see selection.js
 };
 
 // DOM Tracking
 const renderedItems = new Map(); // Map<itemId, HTMLElement>
+const renderedSections = new Map(); // Map<sectionId, HTMLElement> (layout headers)
 let renderAnimationFrame = null;
 
-// Infinite Scroll Tracking
-const LOAD_THRESHOLD = 2000; // Load more items when within 2000px of boundary
-let isLoadingMore = false;
+// Pointer Tracking (mouse, touch and pen share one code path)
+let MIN_ZOOM = VIEWER_CONFIG.minZoom;
+let MAX_ZOOM = VIEWER_CONFIG.maxZoom;
+const TAP_MOVE_TOLERANCE = 10; // Max movement in px for a touch to count as a tap
+const TAP_MAX_DURATION = 250; // Max press duration in ms for a tap
+const DOUBLE_TAP_DELAY = 300; // Max gap in ms between taps of a double-tap
+const DOUBLE_TAP_DISTANCE = 40; // Max distance in px between taps of a double-tap
+const DOUBLE_TAP_ZOOM_FACTOR = 2;
+const activePointers = new Map(); // Map<pointerId, {x, y}>
+let pinchState = null;
+let tapCandidate = null;
+let lastTap = null;
+let lastPointerType = 'mouse';
+let gestureMoved = false; // True once the current press has dragged or pinched (suppresses clicks)
 
 // ============================================================================
 // Phase 2: Canvas Sizing & Initialization
 // ============================================================================
 
 function calculateCanvasDimensions() {
-    if (!ITEM_DATA || ITEM_DATA.length === 0) {
-        return { width: 0, height: 0 };
-    }
-    
-    const totalRows = Math.ceil(ITEM_DATA.length / GRID_COLUMNS);
-    return {
-        width: GRID_COLUMNS * ITEM_SIZE,
-        height: totalRows * ITEM_SIZE
-    };
+    return getCanvasDimensions(ITEM_INDEX);
 }
 
 function initializeCanvas() {
@@ -71,73 +77,198 @@ function updateTransform() {
     virtualCanvas.style.transform = `translate(${state.panX}px, ${state.panY}px) scale(${state.zoom})`;
 }
 
-function handleMouseDown(e) {
-    if (e.button !== 0) return; // Only left mouse button
+/**
+ * Clamp a zoom level to the supported range
+ */
+function clampZoom(zoom) {
+    return Math.max(MIN_ZOOM, Math.min(MAX_ZOOM, zoom));
+}
+
+/**
+ * Zoom to a new level while keeping the world point under (screenX, screenY) fixed
+ */
+function zoomAtPoint(screenX, screenY, newZoom) {
+    // Convert screen position to virtual canvas coordinates before zoom
+    const world = screenToWorld(screenX, screenY);
+    
+    // Apply zoom
+    state.zoom = clampZoom(newZoom);
     
+    // Adjust pan so the same world point stays under the cursor/fingers
+    state.panX = screenX - world.x * state.zoom;
+    state.panY = screenY - world.y * state.zoom;
+}
+
+/**
+ * Get pointer position relative to the viewport
+ */
+function getViewportPoint(e) {
+    const rect = viewport.getBoundingClientRect();
+    return {
+        x: e.clientX - rect.left,
+        y: e.clientY - rect.top
+    };
+}
+
+/**
+ * Get distance and midpoint between the first two active pointers
+ */
+function getPinchGeometry() {
+    const [a, b] = Array.from(activePointers.values());
+    return {
+        distance: Math.max(1, Math.hypot(b.x - a.x, b.y - a.y)),
+        midX: (a.x + b.x) / 2,
+        midY: (a.y + b.y) / 2
+    };
+}
+
+/**
+ * Start a single-pointer drag from the given pointer position
+ */
+function startDrag(point) {
     state.isDragging = true;
-    state.dragStartX = e.clientX;
-    state.dragStartY = e.clientY;
+    state.dragStartX = point.x;
+    state.dragStartY = point.y;
     state.dragStartPanX = state.panX;
     state.dragStartPanY = state.panY;
+    resetPanSamples(); // Velocity for inertia is measured from here (camera.js)
     
     viewport.classList.add('dragging');
-    e.preventDefault();
 }
 
-function handleMouseMove(e) {
-    if (!state.isDragging) return;
+/**
+ * Start a two-finger pinch from the current active pointers
+ */
+function startPinch() {
+    const geometry = getPinchGeometry();
+    const anchor = screenToWorld(geometry.midX, geometry.midY);
     
-    const deltaX = e.clientX - state.dragStartX;
-    const deltaY = e.clientY - state.dragStartY;
+    state.isDragging = false;
+    gestureMoved = true;
+    pinchState = {
+        startDistance: geometry.distance,
+        startZoom: state.zoom,
+        anchorX: anchor.x,
+        anchorY: anchor.y
+    };
+}
+
+function handlePointerDown(e) {
+    if (e.pointerType === 'mouse' && e.button !== 0) return; // Only left mouse button
+    
+    lastPointerType = e.pointerType;
+    cancelCameraAnimation(); // Grabbing the canvas stops any camera flight
+    const point = getViewportPoint(e);
+    activePointers.set(e.pointerId, point);
+    
+    if (activePointers.size === 1) {
+        startDrag(point);
+        gestureMoved = false;
+        tapCandidate = { x: point.x, y: point.y, time: e.timeStamp };
+    } else if (activePointers.size === 2) {
+        // Second finger down - switch from drag to pinch
+        startPinch();
+        tapCandidate = null;
+    }
     
-    state.panX = state.dragStartPanX + deltaX;
-    state.panY = state.dragStartPanY + deltaY;
+    e.preventDefault();
+}
+
+function handlePointerMove(e) {
+    if (!activePointers.has(e.pointerId)) return;
+    
+    const point = getViewportPoint(e);
+    activePointers.set(e.pointerId, point);
+    
+    if (pinchState && activePointers.size >= 2) {
+        // Pinch zoom centred between the fingers, two-finger pan via midpoint movement
+        const geometry = getPinchGeometry();
+        state.zoom = clampZoom(pinchState.startZoom * geometry.distance / pinchState.startDistance);
+        state.panX = geometry.midX - pinchState.anchorX * state.zoom;
+        state.panY = geometry.midY - pinchState.anchorY * state.zoom;
+    } else if (state.isDragging) {
+        const deltaX = point.x - state.dragStartX;
+        const deltaY = point.y - state.dragStartY;
+        
+        if (Math.hypot(deltaX, deltaY) > TAP_MOVE_TOLERANCE) {
+            gestureMoved = true;
+            tapCandidate = null;
+        }
+        
+        state.panX = state.dragStartPanX + deltaX;
+        state.panY = state.dragStartPanY + deltaY;
+        recordPanSample();
+    } else {
+        return;
+    }
     
     updateTransform();
     scheduleRender();
-    // Check boundaries while dragging
-    checkBoundariesAndLoad();
     
     e.preventDefault();
 }
 
-function handleMouseUp(e) {
-    if (!state.isDragging) return;
+function handlePointerUp(e) {
+    if (!activePointers.has(e.pointerId)) return;
     
-    state.isDragging = false;
-    viewport.classList.remove('dragging');
+    activePointers.delete(e.pointerId);
+    
+    if (e.type === 'pointerup' && e.pointerType === 'touch' && activePointers.size === 0) {
+        handleTap(e);
+    }
+    
+    if (activePointers.size >= 2) {
+        // Still pinching with the remaining fingers
+        startPinch();
+    } else if (activePointers.size === 1) {
+        // Lifted one finger of a pinch - continue as a drag without jumping
+        pinchState = null;
+        startDrag(activePointers.values().next().value);
+    } else {
+        const wasDragging = state.isDragging && gestureMoved;
+        pinchState = null;
+        state.isDragging = false;
+        viewport.classList.remove('dragging');
+        
+        // Let a flung canvas glide to a stop
+        if (wasDragging && e.type === 'pointerup') startInertia();
+    }
     
     scheduleRender();
     e.preventDefault();
 }
 
-function handleWheel(e) {
-    e.preventDefault();
-    
-    const zoomSensitivity = 0.1;
-    const zoomDelta = -e.deltaY * zoomSensitivity / 1000;
-    const newZoom = Math.max(0.1, Math.min(5.0, state.zoom + zoomDelta));
-    
-    // Zoom around cursor position
-    const rect = viewport.getBoundingClientRect();
-    const mouseX = e.clientX - rect.left;
-    const mouseY = e.clientY - rect.top;
-    
-    // Convert mouse position to virtual canvas coordinates before zoom
-    const worldX = (mouseX - state.panX) / state.zoom;
-    const worldY = (mouseY - state.panY) / state.zoom;
-    
-    // Apply zoom
-    state.zoom = newZoom;
+/**
+ * Detect touch double-tap and zoom in around the tapped point
+ */
+function handleTap(e) {
+    const tap = tapCandidate;
+    tapCandidate = null;
+    if (!tap || e.timeStamp - tap.time > TAP_MAX_DURATION) return;
+    
+    const isDoubleTap = lastTap &&
+        tap.time - lastTap.time < DOUBLE_TAP_DELAY &&
+        Math.hypot(tap.x - lastTap.x, tap.y - lastTap.y) < DOUBLE_TAP_DISTANCE;
+    
+    if (!isDoubleTap) {
+        lastTap = tap;
+        return;
+    }
     
-    // Adjust pan to zoom around cursor
-    state.panX = mouseX - worldX * state.zoom;
-    state.panY = mouseY - worldY * state.zoom;
+    lastTap = null;
+    // Zoom in on double-tap, or back out to 1x once fully zoomed in
+    const targetZoom = state.zoom >= MAX_ZOOM ? 1.0 : state.zoom * DOUBLE_TAP_ZOOM_FACTOR;
+    zoomAtPoint(tap.x, tap.y, targetZoom);
     
     updateTransform();
     scheduleRender();
-    // Check boundaries after zoom
-    checkBoundariesAndLoad();
+}
+
+function handleWheel(e) {
+    e.preventDefault();
+    
+    // Smoothed zoom around cursor position (camera.js)
+    zoomByWheel(e, getViewportPoint(e));
 }
 
 function handleResize() {
@@ -155,35 +286,22 @@ function handleResize() {
  * @returns {Object} {left, top, right, bottom}
  */
 function calculateViewportBounds() {
-    // Convert viewport corners to virtual canvas coordinates
-    const topLeft = screenToWorld(0, 0);
-    const topRight = screenToWorld(state.viewportWidth, 0);
-    const bottomLeft = screenToWorld(0, state.viewportHeight);
-    const bottomRight = screenToWorld(state.viewportWidth, state.viewportHeight);
-    
-    const left = Math.min(topLeft.x, bottomLeft.x);
-    const right = Math.max(topRight.x, bottomRight.x);
-    const top = Math.min(topLeft.y, topRight.y);
-    const bottom = Math.max(bottomLeft.y, bottomRight.y);
-    
-    // Add buffer
-    const buffer = BUFFER_SIZE * ITEM_SIZE;
-    
-    return {
-        left: left - buffer,
-        top: top - buffer,
-        right: right + buffer,
-        bottom: bottom + buffer
-    };
+    return getViewportWorldBounds(state, BUFFER_SIZE * ITEM_SIZE);
+}
+
+/**
+ * World rectangle currently on screen (without the render buffer)
+ * @returns {Object} {left, top, right, bottom}
+ */
+function getScreenWorldBounds() {
+    return getViewportWorldBounds(state);
 }
 
 /**
  * Convert screen coordinates to world (virtual canvas) coordinates
  */
 function screenToWorld(screenX, screenY) {
-    const worldX = (screenX - state.panX) / state.zoom;
-    const worldY = (screenY - state.panY) / state.zoom;
-    return { x: worldX, y: worldY };
+    return screenToWorldPoint(state, screenX, screenY);
 }
 
 /**
@@ -197,199 +315,217 @@ function gridToWorld(column, row) {
 }
 
 // ============================================================================
-// Phase 5: Virtualization Engine
+// Phase 5: Virtualization (decisions in engine.js, DOM here)
 // ============================================================================
 
+// Which tiles exist in the DOM; syncDOM() applies its diffs
+const tileVirtualizer = new TileVirtualizer(ITEM_INDEX, {
+    buffer: BUFFER_SIZE * ITEM_SIZE,
+    maxNodes: MAX_DOM_NODES
+});
+
 /**
  * Check if an item intersects with the viewport bounds
  */
 function itemIntersectsViewport(item, bounds) {
-    const itemLeft = item.x;
-    const itemRight = item.x + ITEM_SIZE;
-    const itemTop = item.y;
-    const itemBottom = item.y + ITEM_SIZE;
-    
-    return !(
-        itemRight < bounds.left ||
-        itemLeft > bounds.right ||
-        itemBottom < bounds.top ||
-        itemTop > bounds.bottom
-    );
+    return rectIntersects(item, bounds);
 }
 
 /**
- * Find all visible items in the viewport
+ * Find all visible items in the viewport (spatial index lookup, not a full scan)
  */
 function findVisibleItems() {
-    const bounds = calculateViewportBounds();
-    const visibleItems = [];
-    
-    for (const item of ITEM_DATA) {
-        if (itemIntersectsViewport(item, bounds)) {
-            visibleItems.push(item);
-        }
-    }
-    
-    return visibleItems;
+    return tileVirtualizer.getVisibleItems(state);
+}
+
+/**
+ * Item under a mouse/pointer event: the tile element's item, or in overview
+ * mode the tile painted at that point
+ * @returns {Object|null} Item, or null when the event isn't over a tile
+ */
+function getEventItem(e) {
+    const gridItem = e.target.closest?.('.grid-item');
+    if (gridItem) return ITEM_INDEX.get(gridItem.dataset.itemId) || null;
+    if (!isOverviewActive() || !viewport.contains(e.target)) return null;
+
+    const point = getViewportPoint(e);
+    const world = screenToWorld(point.x, point.y);
+    const bounds = { left: world.x, top: world.y, right: world.x, bottom: world.y };
+    return ITEM_INDEX.query(bounds).find(item => itemIntersectsViewport(item, bounds)) || null;
+}
+
+/**
+ * Tile elements come in two shapes: an image (photos, and videos shown as a
+ * still with a play badge) or a real <video>. Released elements of each shape
+ * are kept in a pool and re-bound to the next item instead of being rebuilt.
+ */
+const TILE_POOL_LIMIT = 200; // Spare elements kept per shape
+const tilePool = { image: [], video: [] };
+
+function getTileKind(item) {
+    return item.type === 'video' && !item.src.includes('sample-videos.com') ? 'video' : 'image';
+}
+
+/**
+ * Build the reusable children of an image tile
+ */
+function buildImageTile(element) {
+    element.dataset.tileKind = 'image';
+
+    const img = document.createElement('img');
+    img.decoding = 'async'; // Non-blocking image decode
+    element.appendChild(img);
+
+    // Play badge for videos shown as a still
+    const icon = document.createElement('div');
+    icon.className = 'tile-video-icon';
+    icon.textContent = '▶';
+    element.appendChild(icon);
 }
 
 /**
- * Create a DOM element for a grid item
+ * Build the reusable children of a video tile
+ */
+function buildVideoTile(element) {
+    element.dataset.tileKind = 'video';
+
+    const video = document.createElement('video');
+    video.muted = true;
+    video.loop = true;
+    video.playsInline = true;
+    video.preload = 'none'; // Don't preload until needed
+    video.setAttribute('playsinline', '');
+    video.setAttribute('webkit-playsinline', '');
+
+    // Mark video element for lazy play control
+    video.dataset.videoLazy = 'true';
+
+    // Handle errors - fall back to a still image (this element becomes an image tile)
+    video.addEventListener('error', (e) => {
+        if (!video.getAttribute('src')) return; // Reset by cleanupVideoElement()
+        const item = ITEM_INDEX.get(element.dataset.itemId);
+        console.warn('Video load error for', video.getAttribute('src'), e);
+        cleanupVideoElement(element);
+        element.innerHTML = '';
+        buildImageTile(element);
+        if (item) bindImageTile(element, item, `https://picsum.photos/200?random=${item.id}`);
+    });
+
+    element.appendChild(video);
+}
+
+function bindImageTile(element, item, baseSrc) {
+    const img = element.querySelector('img');
+    img.alt = `${item.type === 'video' ? 'Video' : 'Photo'} ${item.id}`;
+    element.querySelector('.tile-video-icon').hidden = item.type !== 'video';
+    loadTileImage(element, img, item, baseSrc); // Sized for the current zoom, loaded nearest-first
+}
+
+/**
+ * Get a DOM element for a grid item, reusing a pooled one when possible
  */
 function createItemElement(item) {
-    const element = document.createElement('div');
-    element.className = 'grid-item';
-    element.dataset.itemId = item.id;
-    
-    if (item.type === 'video') {
-        // For placeholder videos, show an image with video indicator
-        // Real videos from photos-data.json will still use video elements
-        const isPlaceholderVideo = item.src.includes('sample-videos.com');
-        
-        if (isPlaceholderVideo) {
-            // Show as image with video icon overlay for placeholder videos
-            const img = document.createElement('img');
-            img.src = `https://picsum.photos/200?random=${item.id}-video`;
-            img.style.width = '100%';
-            img.style.height = '100%';
-            img.style.objectFit = 'cover';
-            element.appendChild(img);
-            
-            // Add video icon overlay
-            const icon = document.createElement('div');
-            icon.style.position = 'absolute';
-            icon.style.bottom = '8px';
-            icon.style.right = '8px';
-            icon.style.width = '24px';
-            icon.style.height = '24px';
-            icon.style.background = 'rgba(0, 0, 0, 0.7)';
-            icon.style.borderRadius = '4px';
-            icon.style.display = 'flex';
-            icon.style.alignItems = 'center';
-            icon.style.justifyContent = 'center';
-            icon.style.color = 'white';
-            icon.style.fontSize = '12px';
-            icon.innerHTML = '▶';
-            element.style.position = 'relative';
-            element.appendChild(icon);
+    const kind = getTileKind(item);
+    let element = tilePool[kind].pop();
+
+    if (!element) {
+        element = document.createElement('div');
+        element.className = 'grid-item';
+        if (kind === 'video') {
+            buildVideoTile(element);
         } else {
-            // Real video - use video element with optimized settings
-            const video = document.createElement('video');
-            video.muted = true;
-            video.loop = true;
-            video.playsInline = true;
-            video.preload = 'none'; // Don't preload until needed
-            video.setAttribute('playsinline', '');
-            video.setAttribute('webkit-playsinline', '');
-
-            // Mark video element for lazy play control
-            video.dataset.videoLazy = 'true';
-
-            // Handle errors - fallback to image
-            video.addEventListener('error', (e) => {
-                console.warn('Video load error for', item.src, e);
-                element.innerHTML = '';
-                const img = document.createElement('img');
-                img.src = `https://picsum.photos/200?random=${item.id}`;
-                img.loading = 'lazy';
-                img.decoding = 'async';
-                img.style.width = '100%';
-                img.style.height = '100%';
-                img.style.objectFit = 'cover';
-                element.appendChild(img);
-            });
+            buildImageTile(element);
+        }
+    }
+    element.dataset.itemId = item.id;
 
-            // Set src but don't load yet (will be handled by visibility check)
-            video.src = item.src;
-            element.appendChild(video);
+    if (kind === 'video') {
+        // Set src but don't load yet (playback.js decides which videos load and play)
+        const video = element.querySelector('video');
+        video.preload = 'none';
+        if (item.poster) {
+            video.poster = item.poster;
+        } else {
+            video.removeAttribute('poster');
         }
+        video.src = item.src;
+    } else if (item.type === 'video') {
+        // Placeholder videos (Picsum has none) show a still instead
+        bindImageTile(element, item, `https://picsum.photos/200?random=${item.id}-video`);
     } else {
-        const img = document.createElement('img');
-        img.src = item.src;
-        img.loading = 'lazy';
-        img.decoding = 'async'; // Non-blocking image decode
-        img.alt = `Photo ${item.id}`;
-        img.onerror = function() {
-            this.style.background = '#444';
-            this.style.display = 'flex';
-            this.style.alignItems = 'center';
-            this.style.justifyContent = 'center';
-            this.style.color = '#888';
-        };
-        element.appendChild(img);
+        bindImageTile(element, item, item.src);
     }
-    
+
     return element;
 }
 
 /**
- * Update item positions in the DOM
+ * Take a tile off the canvas and keep its element for reuse
  */
-function updateItemPositions() {
-    renderedItems.forEach((element, itemId) => {
-        const item = ITEM_DATA.find(i => i.id === parseInt(itemId));
-        if (item) {
-            element.style.left = `${item.x}px`;
-            element.style.top = `${item.y}px`;
-        }
-    });
+function releaseItemElement(itemId) {
+    const element = renderedItems.get(itemId);
+    if (!element) return;
+
+    renderedItems.delete(itemId);
+    cleanupVideoElement(element); // Cleanup before removal
+    cancelElementImages(element); // Drop its pending image requests (loader.js)
+    element.remove();
+
+    // Reset everything the previous item left behind
+    element.classList.remove('focused', 'selected', 'load-failed', 'filtered-out');
+    element.querySelector('.tile-retry')?.remove();
+    const img = element.querySelector('img');
+    if (img) {
+        img.removeAttribute('src');
+        ['lodSrc', 'lodSize', 'lodPending', 'lodFailedSize'].forEach(key => delete img.dataset[key]);
+    }
+
+    const pool = tilePool[element.dataset.tileKind];
+    if (pool.length < TILE_POOL_LIMIT) pool.push(element);
 }
 
 /**
- * Check if item is in actual viewport (not buffer zone)
+ * Queue a tile's image (LOD size from lod.js, request order from loader.js)
+ * and offer a retry button if it still fails after the automatic retries
  */
-function itemInActualViewport(item) {
-    const topLeft = screenToWorld(0, 0);
-    const bottomRight = screenToWorld(state.viewportWidth, state.viewportHeight);
+function loadTileImage(element, img, item, baseSrc = item.src) {
+    element.classList.remove('load-failed');
+    setTileImageSrc(img, item, baseSrc, {
+        onFail: () => showTileRetry(element, img, item, baseSrc)
+    });
+}
 
-    const bounds = {
-        left: topLeft.x,
-        top: topLeft.y,
-        right: bottomRight.x,
-        bottom: bottomRight.y
-    };
+function showTileRetry(element, img, item, baseSrc) {
+    element.classList.add('load-failed');
+    if (element.querySelector('.tile-retry')) return;
 
-    const itemLeft = item.x;
-    const itemRight = item.x + ITEM_SIZE;
-    const itemTop = item.y;
-    const itemBottom = item.y + ITEM_SIZE;
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'tile-retry';
+    button.textContent = '↻';
+    button.title = 'Retry loading';
+    button.setAttribute('aria-label', `Retry loading item ${item.id}`);
 
-    return !(
-        itemRight < bounds.left ||
-        itemLeft > bounds.right ||
-        itemBottom < bounds.top ||
-        itemTop > bounds.bottom
-    );
+    // Keep presses on the button from dragging, opening or downloading the tile
+    ['pointerdown', 'dblclick'].forEach(type => {
+        button.addEventListener(type, e => e.stopPropagation());
+    });
+    button.addEventListener('click', e => {
+        e.stopPropagation();
+        button.remove();
+        loadTileImage(element, img, item, baseSrc);
+    });
+    element.appendChild(button);
 }
 
 /**
- * Manage video playback based on visibility
+ * Place a tile element at its item's world rectangle
  */
-function manageVideoPlayback() {
-    renderedItems.forEach((element, itemId) => {
-        const video = element.querySelector('video[data-video-lazy]');
-        if (!video) return;
-
-        const item = ITEM_DATA.find(i => i.id === parseInt(itemId));
-        if (!item) return;
-
-        const isVisible = itemInActualViewport(item);
-
-        if (isVisible) {
-            // Video is in actual viewport - load and play
-            if (video.paused && video.readyState === 0) {
-                video.load();
-            }
-            video.play().catch(() => {
-                // Autoplay blocked - that's OK
-            });
-        } else {
-            // Video is in buffer but not visible - pause to save resources
-            if (!video.paused) {
-                video.pause();
-            }
-        }
-    });
+function positionItemElement(element, item) {
+    element.style.left = `${item.x}px`;
+    element.style.top = `${item.y}px`;
+    element.style.width = `${item.w}px`;
+    element.style.height = `${item.h}px`;
 }
 
 /**
@@ -408,78 +544,204 @@ function cleanupVideoElement(element) {
  * DOM Manager: Sync visible items with DOM
  */
 function syncDOM() {
-    const visibleItems = findVisibleItems();
-    const visibleItemIds = new Set(visibleItems.map(item => item.id));
-
-    // Remove items that are no longer visible
-    const itemsToRemove = [];
-    renderedItems.forEach((element, itemId) => {
-        if (!visibleItemIds.has(parseInt(itemId))) {
-            itemsToRemove.push(itemId);
+    // Zoomed far out, tiles are painted on the overview canvas instead (overview.js)
+    const diff = tileVirtualizer.update(isOverviewActive() ? null : state);
+
+    diff.remove.forEach(itemId => releaseItemElement(itemId));
+
+    // Re-laid out items keep their element
+    diff.move.forEach(item => {
+        const element = renderedItems.get(item.id.toString());
+        if (element) positionItemElement(element, item);
+    });
+
+    diff.add.forEach(item => {
+        const itemIdStr = item.id.toString();
+        const element = createItemElement(item);
+        positionItemElement(element, item);
+        element.classList.toggle('focused', itemIdStr === state.focusedItemId);
+        element.classList.toggle('selected', state.selectedItemIds.has(itemIdStr));
+        element.classList.toggle('filtered-out', isItemDimmed(item));
+        virtualCanvas.appendChild(element);
+        renderedItems.set(itemIdStr, element);
+    });
+
+    // Layout headers (e.g. timeline days) are virtualized like tiles
+    syncSectionHeaders();
+
+    // Play the best-placed videos, pause the rest (playback.js)
+    manageVideoPlayback();
+}
+
+/**
+ * Create a DOM element for a layout section header
+ */
+function createSectionElement(section) {
+    const element = document.createElement('div');
+    element.className = 'section-header';
+    element.dataset.sectionId = section.id;
+
+    const label = document.createElement('div');
+    label.className = 'section-label';
+    label.textContent = section.label;
+
+    const sublabel = document.createElement('div');
+    sublabel.className = 'section-sublabel';
+    sublabel.textContent = `${section.sublabel} · ${section.itemCount} item${section.itemCount === 1 ? '' : 's'}`;
+
+    element.append(label, sublabel);
+    return element;
+}
+
+/**
+ * Sync layout section headers with the viewport
+ */
+function syncSectionHeaders() {
+    const bounds = calculateViewportBounds();
+    const visibleSectionIds = new Set();
+
+    getActiveSections().forEach(section => {
+        if (!itemIntersectsViewport(section, bounds)) return;
+        visibleSectionIds.add(section.id);
+
+        let element = renderedSections.get(section.id);
+        if (!element) {
+            element = createSectionElement(section);
+            virtualCanvas.appendChild(element);
+            renderedSections.set(section.id, element);
         }
+        element.style.left = `${section.x}px`;
+        element.style.top = `${section.y}px`;
+        element.style.width = `${section.w}px`;
+        element.style.height = `${section.h}px`;
     });
 
-    itemsToRemove.forEach(itemId => {
-        const element = renderedItems.get(itemId);
-        if (element) {
-            cleanupVideoElement(element); // Cleanup before removal
+    renderedSections.forEach((element, sectionId) => {
+        if (!visibleSectionIds.has(sectionId)) {
             element.remove();
-            renderedItems.delete(itemId);
+            renderedSections.delete(sectionId);
         }
     });
+}
 
-    // Memory management: if too many DOM nodes, remove furthest items
-    if (renderedItems.size > MAX_DOM_NODES) {
-        const bounds = calculateViewportBounds();
-        const centerX = (bounds.left + bounds.right) / 2;
-        const centerY = (bounds.top + bounds.bottom) / 2;
-
-        // Calculate distance from viewport center for all items
-        const itemDistances = [];
-        renderedItems.forEach((element, itemId) => {
-            const item = ITEM_DATA.find(i => i.id === parseInt(itemId));
-            if (item && !visibleItemIds.has(item.id)) {
-                const itemCenterX = item.x + ITEM_SIZE / 2;
-                const itemCenterY = item.y + ITEM_SIZE / 2;
-                const distance = Math.sqrt(
-                    Math.pow(itemCenterX - centerX, 2) +
-                    Math.pow(itemCenterY - centerY, 2)
-                );
-                itemDistances.push({ itemId, distance });
-            }
-        });
-
-        // Sort by distance and remove furthest items
-        itemDistances.sort((a, b) => b.distance - a.distance);
-        const itemsToRemoveCount = renderedItems.size - MAX_DOM_NODES;
-        for (let i = 0; i < itemsToRemoveCount && i < itemDistances.length; i++) {
-            const itemId = itemDistances[i].itemId;
-            const element = renderedItems.get(itemId);
-            if (element) {
-                cleanupVideoElement(element);
-                element.remove();
-                renderedItems.delete(itemId);
-            }
+/**
+ * Fetch a media file as a blob, working out its file extension
+ * @param {Object} item - Item to fetch
+ * @returns {Promise<Object>} {blob, extension}
+ */
+async function fetchMediaBlob(item) {
+    let blob;
+    let extension = '';
+    
+    // Try to get file extension from URL first
+    try {
+        const urlPath = new URL(item.src).pathname;
+        const urlMatch = urlPath.match(/\.(\w+)(?:[?#]|$)/);
+        if (urlMatch) {
+            extension = urlMatch[1];
+        }
+    } catch (e) {
+        // URL parsing failed, try regex on string
+        const urlMatch = item.src.match(/\.(\w+)(?:[?#]|$)/);
+        if (urlMatch) {
+            extension = urlMatch[1];
         }
     }
-
-    // Add items that should be visible but aren't in DOM
-    visibleItems.forEach(item => {
-        const itemIdStr = item.id.toString();
-        if (!renderedItems.has(itemIdStr)) {
-            const element = createItemElement(item);
-            element.style.left = `${item.x}px`;
-            element.style.top = `${item.y}px`;
-            virtualCanvas.appendChild(element);
-            renderedItems.set(itemIdStr, element);
+    
+    // For images, try using canvas if fetch fails (handles CORS)
+    if (item.type === 'photo') {
+        try {
+            // Try fetch first
+            const response = await fetch(item.src);
+            if (response.ok) {
+                blob = await response.blob();
+                const contentType = response.headers.get('content-type');
+                if (!extension && contentType) {
+                    if (contentType.includes('jpeg') || contentType.includes('jpg')) extension = 'jpg';
+                    else if (contentType.includes('png')) extension = 'png';
+                    else if (contentType.includes('gif')) extension = 'gif';
+                    else if (contentType.includes('webp')) extension = 'webp';
+                }
+            }
+        } catch (fetchError) {
+            // Fetch failed, try canvas method (works if image is already loaded)
+            const img = new Image();
+            img.crossOrigin = 'anonymous';
+            
+            await new Promise((resolve, reject) => {
+                img.onload = () => {
+                    try {
+                        const canvas = document.createElement('canvas');
+                        canvas.width = img.width;
+                        canvas.height = img.height;
+                        const ctx = canvas.getContext('2d');
+                        ctx.drawImage(img, 0, 0);
+                        canvas.toBlob((b) => {
+                            if (b) {
+                                blob = b;
+                                if (!extension) extension = 'png';
+                                resolve();
+                            } else {
+                                reject(new Error('Canvas conversion failed'));
+                            }
+                        }, 'image/png');
+                    } catch (e) {
+                        reject(e);
+                    }
+                };
+                img.onerror = () => reject(new Error('Image load failed'));
+                img.src = item.src;
+            });
         }
-    });
+    } else {
+        // For videos, use fetch
+        const response = await fetch(item.src);
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        blob = await response.blob();
+        const contentType = response.headers.get('content-type');
+        if (!extension && contentType) {
+            if (contentType.includes('mp4')) extension = 'mp4';
+            else if (contentType.includes('webm')) extension = 'webm';
+            else if (contentType.includes('mov')) extension = 'mov';
+        }
+    }
+    
+    if (!blob) {
+        throw new Error('Failed to get file blob');
+    }
+    
+    return { blob, extension: extension || (item.type === 'video' ? 'mp4' : 'jpg') };
+}
 
-    // Update positions for all rendered items (in case zoom changed)
-    updateItemPositions();
+/**
+ * Build a readable file name for a downloaded item, e.g. "forest-photo-0042.jpg"
+ */
+function getDownloadFilename(item, extension) {
+    const label = (item.topic || 'meghtosh')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '') || 'meghtosh';
+    // Wrapped copies share the original's name
+    const number = String(item.baseId ?? item.id).padStart(4, '0');
+    return `${label}-${item.type}-${number}.${extension}`;
+}
 
-    // Manage video playback based on actual visibility
-    manageVideoPlayback();
+/**
+ * Hand a blob to the browser as a file download
+ */
+function saveBlob(blob, filename) {
+    const blobUrl = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = blobUrl;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    
+    // Clean up blob URL
+    setTimeout(() => URL.revokeObjectURL(blobUrl), 100);
 }
 
 /**
@@ -489,102 +751,9 @@ async function downloadMedia(item) {
     try {
         console.log(`⬇️ Downloading ${item.type}:`, item.src);
         
-        let blob;
-        let extension = '';
-        
-        // Try to get file extension from URL first
-        try {
-            const urlPath = new URL(item.src).pathname;
-            const urlMatch = urlPath.match(/\.(\w+)(?:[?#]|$)/);
-            if (urlMatch) {
-                extension = urlMatch[1];
-            }
-        } catch (e) {
-            // URL parsing failed, try regex on string
-            const urlMatch = item.src.match(/\.(\w+)(?:[?#]|$)/);
-            if (urlMatch) {
-                extension = urlMatch[1];
-            }
-        }
-        
-        // For images, try using canvas if fetch fails (handles CORS)
-        if (item.type === 'photo') {
-            try {
-                // Try fetch first
-                const response = await fetch(item.src);
-                if (response.ok) {
-                    blob = await response.blob();
-                    const contentType = response.headers.get('content-type');
-                    if (!extension && contentType) {
-                        if (contentType.includes('jpeg') || contentType.includes('jpg')) extension = 'jpg';
-                        else if (contentType.includes('png')) extension = 'png';
-                        else if (contentType.includes('gif')) extension = 'gif';
-                        else if (contentType.includes('webp')) extension = 'webp';
-                    }
-                }
-            } catch (fetchError) {
-                // Fetch failed, try canvas method (works if image is already loaded)
-                const img = new Image();
-                img.crossOrigin = 'anonymous';
-                
-                await new Promise((resolve, reject) => {
-                    img.onload = () => {
-                        try {
-                            const canvas = document.createElement('canvas');
-                            canvas.width = img.width;
-                            canvas.height = img.height;
-                            const ctx = canvas.getContext('2d');
-                            ctx.drawImage(img, 0, 0);
-                            canvas.toBlob((b) => {
-                                if (b) {
-                                    blob = b;
-                                    if (!extension) extension = 'png';
-                                    resolve();
-                                } else {
-                                    reject(new Error('Canvas conversion failed'));
-                                }
-                            }, 'image/png');
-                        } catch (e) {
-                            reject(e);
-                        }
-                    };
-                    img.onerror = () => reject(new Error('Image load failed'));
-                    img.src = item.src;
-                });
-            }
-        } else {
-            // For videos, use fetch
-            const response = await fetch(item.src);
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
-            blob = await response.blob();
-            const contentType = response.headers.get('content-type');
-            if (!extension && contentType) {
-                if (contentType.includes('mp4')) extension = 'mp4';
-                else if (contentType.includes('webm')) extension = 'webm';
-                else if (contentType.includes('mov')) extension = 'mov';
-            }
-        }
-        
-        if (!blob) {
-            throw new Error('Failed to get file blob');
-        }
-        
-        // Create filename
-        const filename = `meghosh-${item.id}.${extension || (item.type === 'video' ? 'mp4' : 'jpg')}`;
-        
-        // Create download link and trigger download
-        const blobUrl = URL.createObjectURL(blob);
-        const link = document.createElement('a');
-        link.href = blobUrl;
-        link.download = filename;
-        document.body.appendChild(link);
-        link.click();
-        document.body.removeChild(link);
-        
-        // Clean up blob URL
-        setTimeout(() => URL.revokeObjectURL(blobUrl), 100);
+        const { blob, extension } = await fetchMediaBlob(item);
+        const filename = getDownloadFilename(item, extension);
+        saveBlob(blob, filename);
         
         console.log(`✅ Downloaded: ${filename}`);
     } catch (error) {
@@ -597,18 +766,16 @@ async function downloadMedia(item) {
  * Handle double-click on grid items
  */
 function handleDoubleClick(e) {
-    // Find the closest grid item
-    const gridItem = e.target.closest('.grid-item');
-    if (!gridItem) return;
+    // Touch double-tap zooms instead of downloading
+    if (lastPointerType === 'touch') return;
 
-    // Get item ID from data attribute
-    const itemId = parseInt(gridItem.dataset.itemId);
-    if (!itemId) return;
-
-    // Find the item in ITEM_DATA
-    const item = ITEM_DATA.find(i => i.id === itemId);
+    // Find the tile under the pointer (DOM element or overview canvas)
+    const item = getEventItem(e);
     if (!item) return;
 
+    // Embedders can take over double-clicks (api.js)
+    if (!emitViewerEvent('itemdblclick', { item: { ...item } })) return;
+
     // Prevent default, stop propagation, and prevent dragging
     e.preventDefault();
     e.stopPropagation();
@@ -625,62 +792,7 @@ function handleDoubleClick(e) {
 }
 
 /**
- * Check boundaries and load more items if needed
- */
-function checkBoundariesAndLoad() {
-    if (isLoadingMore || !ITEM_DATA || ITEM_DATA.length === 0) return;
-    
-    const bounds = calculateViewportBounds();
-    const canvasDims = calculateCanvasDimensions();
-    
-    // Calculate distance to each boundary
-    const distanceToRight = canvasDims.width - bounds.right;
-    const distanceToLeft = bounds.left - 0;
-    const distanceToBottom = canvasDims.height - bounds.bottom;
-    const distanceToTop = bounds.top - 0;
-    
-    // Check if we're near a boundary and load more items
-    if (distanceToRight < LOAD_THRESHOLD) {
-        // Near right boundary - load more to the right
-        isLoadingMore = true;
-        if (typeof window.addMoreItemsToMEGHTOSH === 'function') {
-            window.addMoreItemsToMEGHTOSH(2000, 'right');
-            updateCanvasSize();
-            isLoadingMore = false;
-            scheduleRender();
-        }
-    } else if (distanceToBottom < LOAD_THRESHOLD) {
-        // Near bottom boundary - load more to the bottom
-        isLoadingMore = true;
-        if (typeof window.addMoreItemsToMEGHTOSH === 'function') {
-            window.addMoreItemsToMEGHTOSH(2000, 'bottom');
-            updateCanvasSize();
-            isLoadingMore = false;
-            scheduleRender();
-        }
-    } else if (distanceToLeft < LOAD_THRESHOLD && bounds.left < LOAD_THRESHOLD) {
-        // Near left boundary - load more to the left
-        isLoadingMore = true;
-        if (typeof window.addMoreItemsToMEGHTOSH === 'function') {
-            window.addMoreItemsToMEGHTOSH(2000, 'left');
-            updateCanvasSize();
-            isLoadingMore = false;
-            scheduleRender();
-        }
-    } else if (distanceToTop < LOAD_THRESHOLD && bounds.top < LOAD_THRESHOLD) {
-        // Near top boundary - load more to the top
-        isLoadingMore = true;
-        if (typeof window.addMoreItemsToMEGHTOSH === 'function') {
-            window.addMoreItemsToMEGHTOSH(2000, 'top');
-            updateCanvasSize();
-            isLoadingMore = false;
-            scheduleRender();
-        }
-    }
-}
-
-/**
- * Update canvas size when items are added
+ * Update canvas size when items are added or removed
  */
 function updateCanvasSize() {
     const dimensions = calculateCanvasDimensions();
@@ -695,8 +807,16 @@ function updateCanvasSize() {
  * Main render function (throttled with requestAnimationFrame)
  */
 function render() {
+    updateWorldChunks(); // Generate/drop placeholder chunks around the camera (world.js)
+    updateWrapRepeats(); // Same for copies of a real album in wrap-around mode (wrap.js)
+    updateOverview(); // Canvas tiles below the overview zoom (overview.js)
     syncDOM();
-    checkBoundariesAndLoad(); // Check if we need to load more items
+    updateMediaQueue(); // Cancel requests that left the buffer, re-prioritise the rest
+    scheduleDeepLinkUpdate(); // Mirror the camera in the URL once it settles
+    scheduleLodUpdate(); // Sharpen tiles once zooming settles
+    updateViewChange(); // 'viewchange' event for embedders (api.js)
+    updateMinimap(); // Viewport rectangle and markers (minimap.js)
+    updateIslandLabels(); // Album names over their islands (islands.js)
     renderAnimationFrame = null;
 }
 
@@ -711,9 +831,9 @@ function scheduleRender() {
 // ============================================================================
 
 function loadFromCenter() {
-    // Calculate center of virtual canvas
-    const centerX = state.canvasWidth / 2;
-    const centerY = state.canvasHeight / 2;
+    // Calculate center of virtual canvas (the placeholder world is endless, so start at its origin)
+    const centerX = usingRealData ? state.canvasWidth / 2 : 0;
+    const centerY = usingRealData ? state.canvasHeight / 2 : 0;
     
     // Center the viewport on the canvas center
     state.panX = state.viewportWidth / 2 - centerX * state.zoom;
@@ -723,6 +843,21 @@ function loadFromCenter() {
     render();
 }
 
+/**
+ * Pan the camera so an item sits in the middle of the viewport (zoom unchanged)
+ */
+function centerOnItem(item) {
+    const rect = ITEM_INDEX.getItemRect(item);
+    const centerX = (rect.left + rect.right) / 2;
+    const centerY = (rect.top + rect.bottom) / 2;
+    
+    state.panX = state.viewportWidth / 2 - centerX * state.zoom;
+    state.panY = state.viewportHeight / 2 - centerY * state.zoom;
+    
+    updateTransform();
+    render();
+}
+
 // ============================================================================
 // Event Listeners & Initialization
 // ============================================================================
@@ -733,12 +868,14 @@ let eventListenersSetup = false;
 function setupEventListeners() {
     if (eventListenersSetup) return;
     
-    viewport.addEventListener('mousedown', handleMouseDown);
-    window.addEventListener('mousemove', handleMouseMove);
-    window.addEventListener('mouseup', handleMouseUp);
+    viewport.addEventListener('pointerdown', handlePointerDown);
+    window.addEventListener('pointermove', handlePointerMove, { passive: false });
+    window.addEventListener('pointerup', handlePointerUp);
+    window.addEventListener('pointercancel', handlePointerUp);
     viewport.addEventListener('wheel', handleWheel, { passive: false });
     window.addEventListener('resize', handleResize);
     viewport.addEventListener('contextmenu', (e) => e.preventDefault());
+    viewport.addEventListener('dragstart', (e) => e.preventDefault()); // No native image dragging
     
     // Double-click to download
     viewport.addEventListener('dblclick', handleDoubleClick);
@@ -747,29 +884,99 @@ function setupEventListeners() {
 }
 
 function initialize() {
+    applyRendererConfig();
+
     // Initialize canvas dimensions (will use placeholder data if real data isn't loaded yet)
     initializeCanvas();
     
     // Set up event listeners (only once)
     setupEventListeners();
     
-    // Load from center
-    loadFromCenter();
+    // Restore the camera from a shared link, otherwise load from center
+    if (!applyDeepLinkCamera(INITIAL_DEEP_LINK)) {
+        loadFromCenter();
+    }
+    
+    // Open a linked item once we know which data set is being shown
+    itemDataReady.then(() => openDeepLinkedItem(INITIAL_DEEP_LINK));
 }
 
-// Function to re-initialize when new data is loaded
-function reinitializeWithNewData() {
+// Re-initialize when new data is loaded (manifest, or setItems/appendItems from api.js)
+function reinitializeWithNewData(event) {
+    applyRendererConfig();
     initializeCanvas();
-    loadFromCenter();
+    updateTimelineMenu();
+    if (event.detail.append) {
+        scheduleRender(); // Keep the camera where it is
+    } else if (event.detail.source !== 'manifest' || !applyDeepLinkCamera(INITIAL_DEEP_LINK)) {
+        loadFromCenter();
+    }
 }
 
-// Make this function globally accessible so data.js can call it
-window.reinitializeMEGHTOSH = reinitializeWithNewData;
+onViewerEvent('itemsloaded', reinitializeWithNewData);
 
-// Initialize when DOM is ready
-if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', initialize);
-} else {
-    initialize();
+/**
+ * Copy the render settings (config.js) into the renderer
+ */
+function applyRendererConfig() {
+    BUFFER_SIZE = VIEWER_CONFIG.bufferSize;
+    MAX_DOM_NODES = VIEWER_CONFIG.maxDomNodes;
+    MIN_ZOOM = VIEWER_CONFIG.minZoom;
+    MAX_ZOOM = VIEWER_CONFIG.maxZoom;
+
+    tileVirtualizer.buffer = BUFFER_SIZE * ITEM_SIZE;
+    tileVirtualizer.maxNodes = MAX_DOM_NODES;
 }
 
+/**
+ * Settings changed at runtime (MEGHTOSH.viewer.configure): rebuild what depends
+ * on them, keeping the item in the middle of the screen in view
+ */
+function handleConfigChange(event) {
+    applyRendererConfig();
+    if (!eventListenersSetup) return; // Still starting up; initialize() uses the new settings
+
+    // Stay inside the zoom limits
+    zoomAtPoint(state.viewportWidth / 2, state.viewportHeight / 2, state.zoom);
+
+    const { changed } = event.detail;
+    const tilesChanged = changed.some(key => ['columns', 'itemSize', 'videoRatio', 'topics'].includes(key));
+    if (tilesChanged) {
+        const anchor = findItemNearestViewportCenter();
+
+        // Rebuild every tile element, placeholder tiles may have changed type
+        tileVirtualizer.update(null).remove.forEach(itemId => releaseItemElement(itemId));
+
+        if (usingRealData) {
+            applyLayout(ITEM_DATA, LAYOUT_MODE);
+            setItemData(ITEM_DATA);
+            updateTimelineMenu();
+        } else {
+            clearWorldChunks(); // Regenerated around the camera at the new size (world.js)
+            ITEM_INDEX.clear();
+            ITEM_DATA = [];
+        }
+        initializeCanvas();
+
+        const target = anchor && (findItemById(anchor.id) || ITEM_INDEX.get(anchor.baseId ?? anchor.id));
+        if (target) {
+            centerOnItem(target);
+            return;
+        }
+    }
+
+    updateTransform();
+    render();
+}
+
+onViewerEvent('configchange', handleConfigChange);
+
+// Initialize when DOM is ready and the settings are known (config.js)
+viewerConfigReady.then(() => {
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', initialize);
+    } else {
+        initialize();
+    }
+});
+
@@ -0,0 +1,269 @@
+// MEGHTOSH Camera Motion
+// Animated camera flights (flyTo / zoomToItem / zoomToFit), drag inertia and
+// smoothed wheel zoom. Everything drives state.panX/panY/zoom from
+// requestAnimationFrame and hands off to scheduleRender().
+// Motion is skipped (the camera jumps) when the user prefers reduced motion.
+
+const CAMERA_ANIMATION_MS = 600;
+const CAMERA_FIT_PADDING = 40; // Screen px kept around a rectangle when fitting it
+
+// Inertia after a drag
+const INERTIA_SAMPLE_MS = 100; // Pointer history used to measure the release velocity
+const INERTIA_MAX_IDLE_MS = 50; // Holding still this long before releasing cancels the fling
+const INERTIA_MIN_SPEED = 0.05; // px/ms below which the canvas stops
+const INERTIA_FRICTION = 0.95; // Velocity kept per 16ms frame
+
+// Wheel / trackpad zoom
+const WHEEL_ZOOM_SPEED = 0.001; // Zoom factor per wheel pixel (exponential, so steps feel even)
+const WHEEL_PINCH_ZOOM_SPEED = 0.01; // Trackpad pinches arrive as ctrl+wheel with small deltas
+const WHEEL_ZOOM_SMOOTHING = 0.3; // Share of the remaining zoom applied per 16ms frame
+
+const reducedMotionQuery = window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+
+const cameraState = {
+    frame: null, // requestAnimationFrame id of the running motion
+    resolve: null, // Settles the promise returned by flyTo()
+    panSamples: [], // Recent {panX, panY, time} while dragging
+    wheelZoom: null // {targetZoom, screenX, screenY} while a smoothed wheel zoom runs
+};
+
+function prefersReducedMotion() {
+    return Boolean(reducedMotionQuery && reducedMotionQuery.matches);
+}
+
+/**
+ * Stop any camera motion (flight, inertia or wheel zoom) where it is
+ */
+function cancelCameraAnimation() {
+    if (cameraState.frame !== null) {
+        cancelAnimationFrame(cameraState.frame);
+        cameraState.frame = null;
+    }
+    cameraState.wheelZoom = null;
+
+    if (cameraState.resolve) {
+        const resolve = cameraState.resolve;
+        cameraState.resolve = null;
+        resolve(false);
+    }
+}
+
+/**
+ * Run a per-frame camera update until it returns false
+ * @param {Function} step - (deltaMs, now) => boolean, keep running
+ */
+function runCameraMotion(step) {
+    let lastTime = performance.now();
+
+    const frame = (now) => {
+        const delta = Math.min(64, now - lastTime); // Don't jump after a background tab
+        lastTime = now;
+
+        const keepRunning = step(delta, now);
+        updateTransform();
+        scheduleRender();
+
+        cameraState.frame = keepRunning ? requestAnimationFrame(frame) : null;
+        if (!keepRunning && cameraState.resolve) {
+            const resolve = cameraState.resolve;
+            cameraState.resolve = null;
+            resolve(true);
+        }
+    };
+
+    cameraState.frame = requestAnimationFrame(frame);
+}
+
+/**
+ * Put a world point in the middle of the viewport at a zoom level (no animation)
+ */
+function setCamera(x, y, zoom) {
+    state.zoom = clampZoom(zoom);
+    state.panX = state.viewportWidth / 2 - x * state.zoom;
+    state.panY = state.viewportHeight / 2 - y * state.zoom;
+}
+
+// ============================================================================
+// Flights
+// ============================================================================
+
+/**
+ * Animate the camera so a world point ends up in the middle of the viewport
+ * @param {number} x - World x to centre on
+ * @param {number} y - World y to centre on
+ * @param {number} zoom - Target zoom (default: keep the current zoom)
+ * @param {number} duration - Milliseconds (ignored with prefers-reduced-motion)
+ * @returns {Promise<boolean>} Resolves true when the camera arrives, false if interrupted
+ */
+function flyTo(x, y, zoom = state.zoom, duration = CAMERA_ANIMATION_MS) {
+    cancelCameraAnimation();
+
+    const targetZoom = clampZoom(zoom);
+    if (prefersReducedMotion() || duration <= 0) {
+        setCamera(x, y, targetZoom);
+        updateTransform();
+        scheduleRender();
+        return Promise.resolve(true);
+    }
+
+    const start = screenToWorld(state.viewportWidth / 2, state.viewportHeight / 2);
+    const startZoom = state.zoom;
+    const startTime = performance.now();
+
+    return new Promise(resolve => {
+        cameraState.resolve = resolve;
+        runCameraMotion((delta, now) => {
+            const t = Math.min(1, (now - startTime) / duration);
+            const eased = t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2;
+
+            // Zoom geometrically so zooming in and out feel equally fast
+            setCamera(
+                start.x + (x - start.x) * eased,
+                start.y + (y - start.y) * eased,
+                startZoom * Math.pow(targetZoom / startZoom, eased)
+            );
+            return t < 1;
+        });
+    });
+}
+
+/**
+ * Fly the camera so a world rectangle fills the viewport
+ * @param {Object} rect - {left, top, right, bottom} in world coordinates
+ * @returns {Promise<boolean>} See flyTo()
+ */
+function fitCameraToRect(rect, duration = CAMERA_ANIMATION_MS) {
+    const width = Math.max(1, rect.right - rect.left);
+    const height = Math.max(1, rect.bottom - rect.top);
+    const zoom = Math.min(
+        (state.viewportWidth - CAMERA_FIT_PADDING * 2) / width,
+        (state.viewportHeight - CAMERA_FIT_PADDING * 2) / height
+    );
+
+    return flyTo((rect.left + rect.right) / 2, (rect.top + rect.bottom) / 2, zoom, duration);
+}
+
+/**
+ * Fly to an item so it fills the viewport
+ * @param {string|number} itemId - Item id
+ * @returns {Promise<boolean>} See flyTo() (false when the item doesn't exist)
+ */
+function zoomToItem(itemId, duration = CAMERA_ANIMATION_MS) {
+    const item = findItemById(itemId);
+    if (!item) {
+        console.warn(`Item ${itemId} not found`);
+        return Promise.resolve(false);
+    }
+    return fitCameraToRect(ITEM_INDEX.getItemRect(item), duration);
+}
+
+/**
+ * Fly out so the whole album is on screen. The placeholder world has no edges,
+ * so there it returns to the origin at 1x.
+ * @returns {Promise<boolean>} See flyTo()
+ */
+function zoomToFit(duration = CAMERA_ANIMATION_MS) {
+    if (!usingRealData || ITEM_DATA.length === 0) {
+        return flyTo(0, 0, 1.0, duration);
+    }
+
+    // The album itself, not its wrap-around copies
+    const rect = ITEM_DATA.reduce((bounds, item) => ({
+        left: Math.min(bounds.left, item.x),
+        top: Math.min(bounds.top, item.y),
+        right: Math.max(bounds.right, item.x + item.w),
+        bottom: Math.max(bounds.bottom, item.y + item.h)
+    }), { left: Infinity, top: Infinity, right: -Infinity, bottom: -Infinity });
+
+    return fitCameraToRect(rect, duration);
+}
+
+// ============================================================================
+// Inertia
+// ============================================================================
+
+/**
+ * Remember the pan position while dragging (called on every drag move)
+ */
+function recordPanSample() {
+    const now = performance.now();
+    cameraState.panSamples.push({ panX: state.panX, panY: state.panY, time: now });
+    while (cameraState.panSamples.length > 2 && now - cameraState.panSamples[0].time > INERTIA_SAMPLE_MS) {
+        cameraState.panSamples.shift();
+    }
+}
+
+function resetPanSamples() {
+    cameraState.panSamples = [];
+}
+
+/**
+ * Keep the canvas gliding after a drag is released, slowing down with friction
+ */
+function startInertia() {
+    const samples = cameraState.panSamples;
+    resetPanSamples();
+    if (prefersReducedMotion() || samples.length < 2) return;
+
+    const now = performance.now();
+    const first = samples[0];
+    const last = samples[samples.length - 1];
+    if (now - last.time > INERTIA_MAX_IDLE_MS || last.time === first.time) return;
+
+    let velocityX = (last.panX - first.panX) / (last.time - first.time);
+    let velocityY = (last.panY - first.panY) / (last.time - first.time);
+    if (Math.hypot(velocityX, velocityY) < INERTIA_MIN_SPEED) return;
+
+    cancelCameraAnimation();
+    runCameraMotion((delta) => {
+        state.panX += velocityX * delta;
+        state.panY += velocityY * delta;
+
+        const friction = Math.pow(INERTIA_FRICTION, delta / 16);
+        velocityX *= friction;
+        velocityY *= friction;
+        return Math.hypot(velocityX, velocityY) >= INERTIA_MIN_SPEED;
+    });
+}
+
+// ============================================================================
+// Wheel Zoom
+// ============================================================================
+
+/**
+ * Zoom towards a target that each wheel event pushes further, easing the camera
+ * after it instead of jumping per wheel notch
+ * @param {WheelEvent} e - Wheel event
+ * @param {Object} point - Cursor position in viewport coordinates
+ */
+function zoomByWheel(e, point) {
+    // Normalise line/page deltas to pixels
+    const scale = e.deltaMode === 1 ? 16 : e.deltaMode === 2 ? state.viewportHeight : 1;
+    const speed = e.ctrlKey ? WHEEL_PINCH_ZOOM_SPEED : WHEEL_ZOOM_SPEED;
+    const baseZoom = cameraState.wheelZoom ? cameraState.wheelZoom.targetZoom : state.zoom;
+    const targetZoom = clampZoom(baseZoom * Math.exp(-e.deltaY * scale * speed));
+
+    if (prefersReducedMotion()) {
+        zoomAtPoint(point.x, point.y, targetZoom);
+        updateTransform();
+        scheduleRender();
+        return;
+    }
+
+    const running = cameraState.wheelZoom !== null;
+    if (!running) cancelCameraAnimation();
+    cameraState.wheelZoom = { targetZoom, screenX: point.x, screenY: point.y };
+    if (running) return;
+
+    runCameraMotion((delta) => {
+        const wheel = cameraState.wheelZoom;
+        if (!wheel) return false;
+
+        const share = 1 - Math.pow(1 - WHEEL_ZOOM_SMOOTHING, delta / 16);
+        const done = Math.abs(Math.log(wheel.targetZoom / state.zoom)) < 0.001;
+        zoomAtPoint(wheel.screenX, wheel.screenY, done ? wheel.targetZoom : state.zoom + (wheel.targetZoom - state.zoom) * share);
+
+        if (done) cameraState.wheelZoom = null;
+        return !done;
+    });
+}
@@ -0,0 +1,191 @@
+// MEGHTOSH Runtime Configuration
+// Grid size, render budget, zoom limits and placeholder settings, so one deploy
+// can host albums with different settings. Values come from (later wins):
+// built-in defaults, config.json beside photos-data.json, URL query parameters.
+//
+//   config.json:  { "columns": 30, "itemSize": 160, "topics": ["ocean", "forest"] }
+//   URL:          index.html?columns=30&itemSize=160&topics=ocean,forest
+//
+// Modules copy the values they use into their own globals and refresh them on
+// the 'configchange' viewer event.
+
+const CONFIG_URL = 'config.json';
+
+// Every setting, with its default and accepted range
+const CONFIG_OPTIONS = {
+    columns: { type: 'integer', min: 1, max: 1000, default: 50 }, // Grid layout width in tiles
+    itemSize: { type: 'integer', min: 20, max: 2000, default: 200 }, // Tile size in world px
+    bufferSize: { type: 'integer', min: 0, max: 20, default: 3 }, // Tiles rendered beyond the viewport edge
+    maxDomNodes: { type: 'integer', min: 50, max: 5000, default: 500 }, // Cap on buffered tile elements
+    minZoom: { type: 'number', min: 0.01, max: 1, default: 0.1 },
+    maxZoom: { type: 'number', min: 1, max: 50, default: 5.0 },
+    videoRatio: { type: 'number', min: 0, max: 1, default: 0.1 }, // Share of placeholder tiles that are videos
+    topics: {
+        type: 'topics',
+        default: [
+            'nature', 'mountains', 'ocean', 'forest', 'sunset', 'sunrise',
+            'travel', 'adventure', 'beach', 'waterfall', 'landscape', 'wildlife',
+            'city', 'urban', 'architecture', 'sky', 'clouds', 'meghalaya',
+            'trip', 'friends', 'memories', 'vacation', 'explore', 'journey'
+        ]
+    }
+};
+
+const CONFIG_TOPIC_PATTERN = /^[a-z0-9-]{1,40}$/i; // Same as deep link seeds
+
+/**
+ * Check one setting and convert it to its type (URL values arrive as strings)
+ * @returns {Object} {value} or {error}
+ */
+function validateConfigValue(key, raw) {
+    const option = CONFIG_OPTIONS[key];
+    if (!option) return { error: `Unknown setting "${key}"` };
+
+    if (option.type === 'topics') {
+        const topics = typeof raw === 'string' ? raw.split(',').map(topic => topic.trim()) : raw;
+        if (!Array.isArray(topics) || topics.length === 0 || !topics.every(topic => typeof topic === 'string' && CONFIG_TOPIC_PATTERN.test(topic))) {
+            return { error: `"${key}" must be a list of words (letters, digits, dashes)` };
+        }
+        return { value: topics };
+    }
+
+    const value = typeof raw === 'string' && raw.trim() !== '' ? Number(raw) : raw;
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+        return { error: `"${key}" must be a number` };
+    }
+    if (option.type === 'integer' && !Number.isInteger(value)) {
+        return { error: `"${key}" must be a whole number` };
+    }
+    if (value < option.min || value > option.max) {
+        return { error: `"${key}" must be between ${option.min} and ${option.max}` };
+    }
+    return { value };
+}
+
+/**
+ * Merge validated settings into a config; invalid ones are reported and skipped
+ * @param {Object} config - Config to update
+ * @param {Object} values - Raw settings, e.g. parsed config.json
+ * @param {Array} issues - Receives diagnostics issues
+ */
+function mergeConfigValues(config, values, issues) {
+    Object.entries(values).forEach(([key, raw]) => {
+        const result = validateConfigValue(key, raw);
+        if (result.error) {
+            issues.push({ severity: 'warning', index: null, id: null, message: `${result.error}, ignored` });
+        } else {
+            config[key] = result.value;
+        }
+    });
+}
+
+/**
+ * Settings given as URL query parameters (unknown parameters belong to other modules)
+ */
+function getConfigQueryValues() {
+    const params = new URLSearchParams(window.location.search);
+    const values = {};
+    Object.keys(CONFIG_OPTIONS).forEach(key => {
+        if (params.has(key)) values[key] = params.get(key);
+    });
+    return values;
+}
+
+/**
+ * Reject limits that contradict each other, falling back to the defaults
+ */
+function checkConfigConsistency(config, issues) {
+    if (config.minZoom >= config.maxZoom) {
+        issues.push({ severity: 'warning', index: null, id: null, message: '"minZoom" must be below "maxZoom", using the defaults' });
+        config.minZoom = CONFIG_OPTIONS.minZoom.default;
+        config.maxZoom = CONFIG_OPTIONS.maxZoom.default;
+    }
+}
+
+function getDefaultConfig() {
+    const config = {};
+    Object.entries(CONFIG_OPTIONS).forEach(([key, option]) => {
+        config[key] = option.default;
+    });
+    return config;
+}
+
+/**
+ * Resolve defaults, config.json and URL overrides
+ * @returns {Promise<Object>} {config, issues}
+ */
+async function resolveViewerConfig() {
+    const config = getDefaultConfig();
+    const issues = [];
+
+    let response = null;
+    try {
+        response = await fetch(CONFIG_URL);
+    } catch (error) {
+        // Offline or blocked - defaults and URL settings still apply
+    }
+
+    // A missing file is normal (hosts that rewrite unknown paths to index.html answer with HTML)
+    const contentType = response && response.ok ? response.headers.get('content-type') || '' : '';
+    if (contentType.includes('json')) {
+        try {
+            const values = await response.json();
+            if (!values || typeof values !== 'object' || Array.isArray(values)) {
+                throw new Error('expected an object of settings');
+            }
+            mergeConfigValues(config, values, issues);
+        } catch (error) {
+            issues.push({ severity: 'error', index: null, id: null, message: `Could not parse file: ${error.message}` });
+        }
+    }
+
+    mergeConfigValues(config, getConfigQueryValues(), issues);
+    checkConfigConsistency(config, issues);
+    return { config, issues };
+}
+
+// Settings in effect; defaults until config.json has been read
+const VIEWER_CONFIG = getDefaultConfig();
+
+/**
+ * Apply new settings and tell the modules with 'configchange'
+ * @param {Object} config - Complete, validated settings
+ */
+function applyViewerConfig(config) {
+    const changed = Object.keys(config).filter(key =>
+        JSON.stringify(config[key]) !== JSON.stringify(VIEWER_CONFIG[key])
+    );
+    if (changed.length === 0) return;
+
+    Object.assign(VIEWER_CONFIG, config);
+    console.log(`⚙️ Settings: ${changed.map(key => `${key}=${VIEWER_CONFIG[key]}`).join(', ')}`);
+    emitViewerEvent('configchange', { config: { ...VIEWER_CONFIG }, changed });
+}
+
+// Data loading and the first render wait for this (data.js, app.js)
+const viewerConfigReady = resolveViewerConfig().then(({ config, issues }) => {
+    showDiagnostics(CONFIG_URL, issues);
+    applyViewerConfig(config);
+    return VIEWER_CONFIG;
+});
+
+/**
+ * Change settings at runtime (MEGHTOSH.viewer.configure); the current items
+ * are laid out again when the grid changes
+ * @param {Object} values - Settings to change, e.g. {columns: 30}
+ * @returns {Promise<Object>} All settings now in effect
+ */
+async function configureViewer(values) {
+    await viewerConfigReady; // config.json would overwrite them otherwise
+
+    const config = { ...VIEWER_CONFIG };
+    Object.entries(values || {}).forEach(([key, raw]) => {
+        const result = validateConfigValue(key, raw);
+        if (result.error) throw new RangeError(result.error);
+        config[key] = result.value;
+    });
+    if (config.minZoom >= config.maxZoom) throw new RangeError('"minZoom" must be below "maxZoom"');
+
+    applyViewerConfig(config);
+    return { ...VIEWER_CONFIG };
+}
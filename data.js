@@ -1,8 +1,15 @@
 // MEGHTOSH Data Generator
 // Loads images and videos from Google Photos albums or random topic photos
 
-const GRID_COLUMNS = 50;
-const ITEM_SIZE = 200;
+// Grid settings (config.js; refreshed on 'configchange')
+let GRID_COLUMNS = VIEWER_CONFIG.columns;
+let ITEM_SIZE = VIEWER_CONFIG.itemSize;
+
+// Manifest with real photos/videos (schema in manifest.js)
+const MANIFEST_URL = 'photos-data.json';
+
+// Albums listed in the loaded manifest ({id, title, url})
+let MANIFEST_ALBUMS = [];
 
 // Google Photos album links
 const ALBUM_LINKS = [
@@ -10,13 +17,8 @@ const ALBUM_LINKS = [
     'https://photos.app.goo.gl/gFbq1VA5iEVqJmEz5'
 ];
 
-// Photo topics for random selection
-const PHOTO_TOPICS = [
-    'nature', 'mountains', 'ocean', 'forest', 'sunset', 'sunrise',
-    'travel', 'adventure', 'beach', 'waterfall', 'landscape', 'wildlife',
-    'city', 'urban', 'architecture', 'sky', 'clouds', 'meghalaya',
-    'trip', 'friends', 'memories', 'vacation', 'explore', 'journey'
-];
+// Photo topics for random selection (config.js)
+let PHOTO_TOPICS = VIEWER_CONFIG.topics;
 
 /**
  * Get a random topic for this session
@@ -27,221 +29,145 @@ function getRandomTopic() {
     return topic;
 }
 
-// Global counter for unique item IDs (for infinite scroll)
-let globalItemIdCounter = 0;
-
-/**
- * Generate array of random topic-based images and videos
- * @param {number} totalItems - Total number of items to generate (default: 2000)
- * @param {string} topic - Photo topic/keyword (optional, random if not provided)
- * @param {number} startId - Starting ID for items (for infinite scroll)
- * @param {number} startIndex - Starting index in the grid (for appending items)
- * @returns {Array} Array of item objects with id, type, src, x, y, column, row
- */
-function generateItemData(totalItems = 2000, topic = null, startId = null, startIndex = 0) {
-    const items = [];
-    
-    // Select a random topic - new topic on each refresh
-    const selectedTopic = topic || getRandomTopic();
-    
-    // Use global counter or provided startId
-    const baseId = startId !== null ? startId : (globalItemIdCounter + 1);
-    
-    for (let i = 0; i < totalItems; i++) {
-        const globalIndex = startIndex + i;
-        const row = Math.floor(globalIndex / GRID_COLUMNS);
-        const column = globalIndex % GRID_COLUMNS;
-        
-        // Mix of photos and videos (mostly photos - 10% videos)
-        const isVideo = Math.random() > 0.9;
-        const type = isVideo ? 'video' : 'photo';
-        
-        // Use Picsum Photos with topic-based seeds for variety
-        // Each topic gets a different seed range, and each image gets a unique ID
-        // This ensures different images for each topic while maintaining variety
-        const topicSeed = selectedTopic.split('').reduce((acc, char) => acc + char.charCodeAt(0), 0);
-        const imageId = (topicSeed * 10000 + globalIndex) % 10000; // Unique ID per topic+position
-        const imageUrl = `https://picsum.photos/seed/${selectedTopic}-${imageId}/200`;
-        
-        // For videos, we'll use placeholder video URLs (Picsum doesn't have videos)
-        // In production, these would be real video URLs
-        const mediaUrl = isVideo 
-            ? `https://sample-videos.com/video123/mp4/720/big_buck_bunny_720p_1mb.mp4` 
-            : imageUrl;
-        
-        items.push({
-            id: baseId + i,
-            type: type,
-            src: mediaUrl,
-            x: column * ITEM_SIZE,
-            y: row * ITEM_SIZE,
-            column: column,
-            row: row,
-            topic: selectedTopic
-        });
-    }
-    
-    // Update global counter
-    globalItemIdCounter = baseId + totalItems - 1;
-    
-    return items;
-}
-
 /**
  * Load items from JSON file if available, otherwise return null to use random topic
  * 
+ * The file is normalised and validated against the manifest schema (manifest.js);
+ * problems are listed in the on-page diagnostics panel.
+ * 
  * Note: Direct fetching from Google Photos links is not possible due to CORS restrictions.
  * Use the browser script (extract-urls-browser.js) to extract URLs and save them to photos-data.json
  */
 async function loadItemData() {
+    let response;
     try {
         // Try to load from photos-data.json
-        const response = await fetch('photos-data.json');
-        if (response.ok) {
-            const data = await response.json();
-            if (data.items && data.items.length > 0) {
-                // Check if items have real URLs (not placeholder/topic-based)
-                const hasRealUrls = data.items.some(item => 
-                    item.src && 
-                    !item.src.includes('picsum.photos') && 
-                    !item.src.includes('unsplash') &&
-                    !item.src.includes('placeholder')
-                );
-                
-                if (hasRealUrls) {
-                    console.log(`📸 Loading ${data.items.length} real photos/videos from photos-data.json`);
-                    
-                    // Process items from JSON and assign grid positions
-                    const items = [];
-                    const totalRows = Math.ceil(data.items.length / GRID_COLUMNS);
-                    
-                    data.items.forEach((item, index) => {
-                        const row = Math.floor(index / GRID_COLUMNS);
-                        const column = index % GRID_COLUMNS;
-                        
-                        items.push({
-                            id: item.id || index + 1,
-                            type: item.type || (item.src.match(/\.(mp4|webm|mov)$/i) ? 'video' : 'photo'),
-                            src: item.src,
-                            x: column * ITEM_SIZE,
-                            y: row * ITEM_SIZE,
-                            column: column,
-                            row: row
-                        });
-                    });
-                    
-                    return items;
-                } else {
-                    console.info('📋 photos-data.json found but contains placeholder URLs.');
-                }
-            } else {
-                console.info('📋 photos-data.json found but items array is empty.');
-            }
-        }
+        response = await fetch(MANIFEST_URL);
     } catch (error) {
-        // File doesn't exist - this is normal, will use random topic images
+        // Offline or blocked - fall back to random topic images
+        return null;
+    }
+    
+    // A missing file is normal, will use random topic images
+    if (!response.ok) return null;
+    
+    let manifest;
+    try {
+        manifest = parseManifest(await response.json());
+    } catch (error) {
+        showDiagnostics(MANIFEST_URL, [{ severity: 'error', index: null, id: null, message: `Could not parse file: ${error.message}` }]);
+        return null;
+    }
+    
+    showDiagnostics(MANIFEST_URL, manifest.issues);
+    
+    if (manifest.items.length === 0) {
+        console.info('📋 photos-data.json found but items array is empty.');
+        return null;
     }
     
-    // Return null to indicate we should use random topic images
-    return null;
+    // Check if items have real URLs (not placeholder/topic-based)
+    const hasRealUrls = manifest.items.some(item => 
+        !item.src.includes('picsum.photos') && 
+        !item.src.includes('unsplash') &&
+        !item.src.includes('placeholder')
+    );
+    
+    if (!hasRealUrls) {
+        console.info('📋 photos-data.json found but contains placeholder URLs.');
+        return null;
+    }
+    
+    console.log(`📸 Loading ${manifest.items.length} real photos/videos from photos-data.json`);
+    MANIFEST_ALBUMS = manifest.albums;
+    
+    // Copies carry the manifest fields through; replaceItemData() lays them out
+    return manifest.items.map(item => ({ ...item }));
 }
 
-// Initialize with random topic - select topic once at startup
-const selectedTopic = getRandomTopic();
-let ITEM_DATA = generateItemData(2000, selectedTopic, 1, 0);
+// Random topic, picked once the settings are known (a shared link can pin it)
+let selectedTopic = INITIAL_DEEP_LINK.seed;
+let ITEM_DATA = []; // Items shown and laid out
+let LOADED_ITEMS = []; // Every loaded item, including those in hidden albums (islands.js)
 let usingRealData = false;
 
+// Spatial index + id map over ITEM_DATA (kept in sync by setItemData and world.js)
+const ITEM_INDEX = new SpatialIndex(SPATIAL_CELL_SIZE, ITEM_SIZE);
+
 /**
- * Add more items to the existing ITEM_DATA array
- * @param {number} count - Number of items to add (default: 2000)
- * @param {string} direction - Direction to add: 'right', 'left', 'top', 'bottom'
+ * Replace ITEM_DATA and rebuild the spatial index
+ * @param {Array} items - Positioned items
  */
-function addMoreItems(count = 2000, direction = 'right') {
-    if (usingRealData) {
-        console.log('📸 Using real photos - infinite scroll disabled');
-        return;
-    }
-    
-    const currentLength = ITEM_DATA.length;
-    const currentRows = Math.ceil(currentLength / GRID_COLUMNS);
-    let startIndex = 0;
-    let newItems = [];
-    
-    if (direction === 'right' || direction === 'bottom') {
-        // Add to the end (right/bottom)
-        startIndex = currentLength;
-        newItems = generateItemData(count, selectedTopic, globalItemIdCounter + 1, startIndex);
-        ITEM_DATA = [...ITEM_DATA, ...newItems];
-    } else if (direction === 'left') {
-        // Add to the left - find leftmost column and add items before it
-        const minX = Math.min(...ITEM_DATA.map(item => item.x));
-        const itemsToAdd = count;
-        const newCols = Math.ceil(itemsToAdd / currentRows);
-        
-        // Generate items
-        newItems = generateItemData(count, selectedTopic, globalItemIdCounter + 1, -itemsToAdd);
-        
-        // Position new items to the left
-        newItems.forEach((item, idx) => {
-            const col = idx % newCols;
-            const row = Math.floor(idx / newCols);
-            item.x = minX - ((newCols - col) * ITEM_SIZE);
-            item.y = (Math.floor(Math.min(...ITEM_DATA.map(i => i.y)) / ITEM_SIZE) + row) * ITEM_SIZE;
-            item.column = Math.floor(item.x / ITEM_SIZE);
-            item.row = Math.floor(item.y / ITEM_SIZE);
-        });
-        
-        ITEM_DATA = [...newItems, ...ITEM_DATA];
-    } else if (direction === 'top') {
-        // Add to the top - find topmost row and add items above it
-        const minY = Math.min(...ITEM_DATA.map(item => item.y));
-        const itemsToAdd = count;
-        const newRows = Math.ceil(itemsToAdd / GRID_COLUMNS);
-        
-        // Generate items
-        newItems = generateItemData(count, selectedTopic, globalItemIdCounter + 1, -itemsToAdd);
-        
-        // Position new items above existing ones
-        newItems.forEach((item, idx) => {
-            const col = idx % GRID_COLUMNS;
-            const row = Math.floor(idx / GRID_COLUMNS);
-            item.x = col * ITEM_SIZE;
-            item.y = minY - ((newRows - row) * ITEM_SIZE);
-            item.column = col;
-            item.row = Math.floor(item.y / ITEM_SIZE);
-        });
-        
-        ITEM_DATA = [...newItems, ...ITEM_DATA];
+function setItemData(items) {
+    ITEM_DATA = items;
+    ITEM_INDEX.clear();
+    ITEM_INDEX.insertAll(items);
+    clearWrapRepeats(); // Copies are re-created around the camera (wrap.js)
+}
+
+/**
+ * Lay out the loaded items that are shown (albums can be hidden, filters can
+ * leave items out) with the active layout and make them ITEM_DATA
+ */
+function showLoadedItems() {
+    const items = LOADED_ITEMS.filter(item => !isAlbumHidden(item.album) && !isItemFilteredOut(item));
+    applyLayout(items, LAYOUT_MODE);
+    setItemData(items);
+}
+
+/**
+ * Show a new set of items in place of the current ones (the placeholder world
+ * or a previous album) and announce it with 'itemsloaded'
+ * @param {Array} items - Validated items (laid out here)
+ * @param {Object} detail - Extra event data, e.g. {source: 'manifest'}
+ */
+function replaceItemData(items, detail = {}) {
+    if (!detail.append) {
+        // Hidden albums and filters belong to the previous data
+        showAllAlbums();
+        resetFilter();
     }
-    
-    console.log(`➕ Added ${count} items to ${direction} (Total: ${ITEM_DATA.length} items)`);
-    return newItems;
+    clearWorldChunks();
+    LOADED_ITEMS = items;
+    usingRealData = true; // Before laying out: album islands only apply to real data
+    showLoadedItems();
+    emitViewerEvent('itemsloaded', { count: items.length, source: 'api', append: false, ...detail });
 }
 
-// Make addMoreItems available globally
-window.addMoreItemsToMEGHTOSH = addMoreItems;
+/**
+ * Look up an item by id, re-creating placeholder tiles and wrapped copies
+ * that aren't loaded
+ * @param {string|number} itemId - Item id
+ * @returns {Object|null} Item
+ */
+function findItemById(itemId) {
+    return ITEM_INDEX.get(itemId) || (usingRealData ? getWrappedItem(itemId) : getWorldItem(itemId));
+}
+
+onViewerEvent('configchange', ({ detail }) => {
+    GRID_COLUMNS = detail.config.columns;
+    ITEM_SIZE = detail.config.itemSize;
+    PHOTO_TOPICS = detail.config.topics;
+    ITEM_INDEX.defaultItemSize = ITEM_SIZE;
+});
 
-// Attempt to load real data asynchronously
-loadItemData().then(data => {
+// Attempt to load real data asynchronously (resolves once ITEM_DATA is final)
+// once the settings are known, so layouts use the configured grid
+const itemDataReady = viewerConfigReady.then(() => {
+    if (!selectedTopic) selectedTopic = getRandomTopic();
+    return loadItemData();
+}).then(data => {
     if (data && data.length > 0) {
-        // Real data loaded from photos-data.json
-        ITEM_DATA = data;
-        usingRealData = true;
-        
-        // Re-initialize the app with new data
-        if (typeof window.reinitializeMEGHTOSH === 'function') {
-            window.reinitializeMEGHTOSH();
-        }
+        // Real data loaded from photos-data.json (app.js re-initializes on 'itemsloaded')
+        replaceItemData(data, { source: 'manifest' });
     } else {
-        // No real data found, using random topic images
-        const topic = ITEM_DATA[0]?.topic || selectedTopic;
-        console.log(`🎲 Using ${ITEM_DATA.length} random "${topic}" images`);
+        // No real data found, using random topic images (world.js)
+        console.log(`🎲 Using an endless world of random "${selectedTopic}" images`);
         console.info('💡 Add your photos by extracting URLs and saving to photos-data.json');
     }
 }).catch(error => {
     console.error('Error loading item data:', error);
-    // On error, we already have topic images loaded, just log the topic
-    const topic = ITEM_DATA[0]?.topic || selectedTopic;
-    console.log(`🎲 Using ${ITEM_DATA.length} random "${topic}" images`);
+    // On error, the random topic world keeps working
+    console.log(`🎲 Using an endless world of random "${selectedTopic}" images`);
 });
 
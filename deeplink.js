@@ -0,0 +1,191 @@
+// MEGHTOSH Deep Links
+// Mirrors the camera, the open item and the random-topic seed in the URL hash,
+// e.g. #x=5000&y=4000&z=1.50&item=42&seed=forest
+// Note: loaded before data.js so the seed can pick the topic; the rest runs after app.js
+
+// Constants
+const DEEP_LINK_SETTLE_MS = 600; // Camera must be still this long before the URL updates
+const DEEP_LINK_STOP_DISTANCE = 0.5; // Moves beyond half a screen create a new history entry
+const DEEP_LINK_STOP_ZOOM_RATIO = 1.5; // As do zoom changes beyond 1.5x either way
+const DEEP_LINK_SEED_PATTERN = /^[a-z0-9-]{1,40}$/i;
+// Inside an iframe (MEGHTOSH.create) history entries would pile up in the host
+// page's Back button, so the URL is only ever updated in place
+const DEEP_LINK_RECORDS_HISTORY = window.parent === window;
+
+const deepLinkState = {
+    settleTimer: null,
+    lastViewKey: null, // Skips re-renders that did not move the camera
+    anchor: null // Link of the current history entry, used to decide push vs replace
+};
+
+/**
+ * Parse a URL hash into a deep link
+ * @param {string} hash - e.g. location.hash
+ * @returns {Object} {x, y, zoom, itemId, seed} with null for anything missing or invalid
+ */
+function parseDeepLink(hash) {
+    const params = new URLSearchParams((hash || '').replace(/^#/, ''));
+    const readNumber = (name) => {
+        const value = parseFloat(params.get(name));
+        return Number.isFinite(value) ? value : null;
+    };
+
+    const zoom = readNumber('z');
+    const seed = params.get('seed');
+    const itemId = params.get('item');
+
+    return {
+        x: readNumber('x'),
+        y: readNumber('y'),
+        zoom: zoom !== null && zoom > 0 ? zoom : null,
+        itemId: itemId || null,
+        seed: seed && DEEP_LINK_SEED_PATTERN.test(seed) ? seed : null
+    };
+}
+
+/**
+ * Format a deep link as a URL hash
+ */
+function formatDeepLink(link) {
+    const params = new URLSearchParams();
+    if (link.x !== null && link.y !== null) {
+        params.set('x', Math.round(link.x));
+        params.set('y', Math.round(link.y));
+    }
+    if (link.zoom !== null) params.set('z', link.zoom.toFixed(2));
+    if (link.itemId !== null) params.set('item', link.itemId);
+    if (link.seed !== null) params.set('seed', link.seed);
+    return `#${params.toString()}`;
+}
+
+// Read once at startup; data.js uses the seed to pick the topic
+const INITIAL_DEEP_LINK = parseDeepLink(window.location.hash);
+
+// ============================================================================
+// Camera <-> URL
+// ============================================================================
+
+/**
+ * Describe the current view as a deep link. The camera is stored as the world
+ * point at the centre of the screen so links survive different screen sizes.
+ */
+function getCurrentDeepLink() {
+    const center = screenToWorld(state.viewportWidth / 2, state.viewportHeight / 2);
+    return {
+        x: center.x,
+        y: center.y,
+        zoom: state.zoom,
+        itemId: lightboxState.isOpen ? lightboxState.item.id.toString() : null,
+        seed: usingRealData ? null : selectedTopic
+    };
+}
+
+/**
+ * Move the camera to a deep link's position
+ * @returns {boolean} True if the link carried a camera position
+ */
+function applyDeepLinkCamera(link) {
+    if (link.x === null || link.y === null) return false;
+
+    if (link.zoom !== null) {
+        state.zoom = clampZoom(link.zoom);
+    }
+    state.panX = state.viewportWidth / 2 - link.x * state.zoom;
+    state.panY = state.viewportHeight / 2 - link.y * state.zoom;
+
+    updateTransform();
+    render();
+    return true;
+}
+
+/**
+ * Open the item named by a deep link (centring on it when the link has no camera)
+ */
+function openDeepLinkedItem(link) {
+    if (link.itemId === null) return;
+
+    const item = findItemById(link.itemId);
+    if (!item) {
+        console.warn(`🔗 Linked item ${link.itemId} not found`);
+        return;
+    }
+
+    if (link.x === null || link.y === null) {
+        centerOnItem(item);
+    }
+    openLightbox(item);
+}
+
+/**
+ * Decide whether moving between two links deserves its own history entry
+ */
+function isCameraStop(from, to) {
+    if (!from) return true;
+    if (from.itemId !== to.itemId) return true;
+
+    const zoomRatio = to.zoom / from.zoom;
+    if (zoomRatio > DEEP_LINK_STOP_ZOOM_RATIO || zoomRatio < 1 / DEEP_LINK_STOP_ZOOM_RATIO) return true;
+
+    // Compare distance in screen widths at the current zoom
+    const screenSize = Math.max(state.viewportWidth, state.viewportHeight) / state.zoom;
+    const distance = Math.hypot(to.x - from.x, to.y - from.y);
+    return distance > screenSize * DEEP_LINK_STOP_DISTANCE;
+}
+
+/**
+ * Write the current view to the URL: a new history entry for meaningful
+ * camera stops, otherwise (and always when embedded) an in-place update of
+ * the current entry
+ */
+function commitDeepLink() {
+    deepLinkState.settleTimer = null;
+
+    const link = getCurrentDeepLink();
+    const hash = formatDeepLink(link);
+    if (hash === window.location.hash) return;
+
+    if (DEEP_LINK_RECORDS_HISTORY && isCameraStop(deepLinkState.anchor, link)) {
+        history.pushState(null, '', hash);
+        deepLinkState.anchor = link;
+    } else {
+        history.replaceState(null, '', hash);
+    }
+}
+
+/**
+ * Update the URL once the camera settles (called on every render)
+ */
+function scheduleDeepLinkUpdate() {
+    const openItemId = lightboxState.isOpen ? lightboxState.item.id : '';
+    const viewKey = `${state.panX},${state.panY},${state.zoom},${openItemId}`;
+    if (viewKey === deepLinkState.lastViewKey) return;
+    deepLinkState.lastViewKey = viewKey;
+
+    clearTimeout(deepLinkState.settleTimer);
+    deepLinkState.settleTimer = setTimeout(commitDeepLink, DEEP_LINK_SETTLE_MS);
+}
+
+/**
+ * Back/forward: jump to the stored camera stop without recording a new one
+ */
+function handleDeepLinkPopState() {
+    const link = parseDeepLink(window.location.hash);
+    clearTimeout(deepLinkState.settleTimer);
+
+    if (lightboxState.isOpen && link.itemId !== lightboxState.item.id.toString()) {
+        closeLightbox();
+    }
+
+    if (!applyDeepLinkCamera(link) && link.itemId === null) {
+        loadFromCenter();
+    }
+    if (link.itemId !== null && !lightboxState.isOpen) {
+        openDeepLinkedItem(link);
+    }
+
+    // Rendering above scheduled an update; the URL already matches this entry
+    clearTimeout(deepLinkState.settleTimer);
+    deepLinkState.anchor = getCurrentDeepLink();
+}
+
+window.addEventListener('popstate', handleDeepLinkPopState);
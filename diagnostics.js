@@ -0,0 +1,75 @@
+// MEGHTOSH Diagnostics Panel
+// Small on-page panel listing problems found while loading data files
+
+const diagnosticsState = {
+    sections: new Map(), // Map<source, issues[]>
+    elements: null
+};
+
+function getDiagnosticsElements() {
+    if (diagnosticsState.elements) return diagnosticsState.elements;
+
+    const panel = document.createElement('details');
+    panel.className = 'diagnostics-panel';
+    panel.hidden = true;
+
+    const summary = document.createElement('summary');
+    const body = document.createElement('div');
+    body.className = 'diagnostics-body';
+
+    panel.append(summary, body);
+    document.body.appendChild(panel);
+
+    diagnosticsState.elements = { panel, summary, body };
+    return diagnosticsState.elements;
+}
+
+/**
+ * Show (or clear, with an empty list) the issues reported for one source
+ * @param {string} source - e.g. 'photos-data.json'
+ * @param {Array} issues - {severity: 'error'|'warning', index, id, message}
+ */
+function showDiagnostics(source, issues) {
+    if (issues.length === 0) {
+        diagnosticsState.sections.delete(source);
+    } else {
+        diagnosticsState.sections.set(source, issues);
+    }
+
+    issues.forEach(issue => {
+        const where = issue.id !== null && issue.id !== undefined ? ` (item ${issue.id})` : '';
+        const log = issue.severity === 'error' ? console.error : console.warn;
+        log(`⚠️ ${source}${where}: ${issue.message}`);
+    });
+
+    renderDiagnostics();
+}
+
+function renderDiagnostics() {
+    const { panel, summary, body } = getDiagnosticsElements();
+    let errorCount = 0;
+    let warningCount = 0;
+
+    body.replaceChildren();
+    diagnosticsState.sections.forEach((issues, source) => {
+        const heading = document.createElement('h3');
+        heading.textContent = source;
+
+        const list = document.createElement('ul');
+        issues.forEach(issue => {
+            if (issue.severity === 'error') errorCount++;
+            else warningCount++;
+
+            const entry = document.createElement('li');
+            entry.className = `diagnostics-${issue.severity}`;
+            const where = issue.id !== null && issue.id !== undefined ? `Item ${issue.id}: ` : '';
+            entry.textContent = `${where}${issue.message}`;
+            list.appendChild(entry);
+        });
+
+        body.append(heading, list);
+    });
+
+    panel.hidden = diagnosticsState.sections.size === 0;
+    summary.textContent = `⚠️ ${errorCount} error${errorCount === 1 ? '' : 's'}, ${warningCount} warning${warningCount === 1 ? '' : 's'}`;
+}
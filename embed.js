@@ -0,0 +1,167 @@
+// MEGHTOSH Embedding
+// Include this one script on any page to put viewers on it:
+//
+//   const viewer = MEGHTOSH.create(document.getElementById('trip'), {
+//       src: 'https://example.com/meghtosh/index.html', // Viewer page (default: index.html next to the page)
+//       items: [{ id: 1, src: 'https://...' }],         // Optional, same format as photos-data.json items
+//       params: { columns: 30, itemSize: 160 },         // Optional URL settings (see config.js)
+//       lightbox: false,                                // Handle 'itemclick' yourself
+//       readyTimeout: 15000                             // ms before calls fail if the viewer never answers
+//   });
+//   viewer.on('itemclick', ({ item }) => console.log(item.caption));
+//   viewer.flyTo(0, 0, 2);
+//
+// Each viewer runs in its own <iframe> and is driven over postMessage (see
+// api.js), so instances are fully independent. Methods return Promises.
+
+const EMBED_MESSAGE_SOURCE = 'meghtosh';
+const EMBED_READY_TIMEOUT = 15000; // ms to wait for the viewer page to answer 'connect'
+const EMBED_METHODS = ['setItems', 'appendItems', 'flyTo', 'zoomToItem', 'zoomToFit', 'select', 'getSelection', 'getView', 'setOptions', 'configure'];
+
+class EmbeddedViewer {
+    /**
+     * @param {HTMLElement} container - Element the viewer fills
+     * @param {Object} options - {src, params, items, lightbox, download, title, readyTimeout}
+     */
+    constructor(container, options = {}) {
+        this.listeners = new Map(); // Map<eventName, Set<Function>>
+        this.pending = new Map(); // Map<callId, {resolve, reject}>
+        this.nextCallId = 1;
+        this.destroyed = false;
+
+        const url = new URL(options.src || 'index.html', document.baseURI);
+        Object.entries(options.params || {}).forEach(([key, value]) => url.searchParams.set(key, value));
+        this.origin = url.origin;
+
+        this.iframe = document.createElement('iframe');
+        this.iframe.src = url.href;
+        this.iframe.title = options.title || 'Photo viewer';
+        this.iframe.allow = 'autoplay; fullscreen';
+        this.iframe.style.cssText = 'display: block; width: 100%; height: 100%; border: 0;';
+
+        this.ready = new Promise((resolve, reject) => {
+            this.resolveReady = resolve;
+            this.rejectReady = reject;
+        });
+        this.ready.catch(() => {}); // Callers see the rejection through their own calls
+
+        // A wrong src or a page without api.js never answers
+        const readyTimeout = options.readyTimeout ?? EMBED_READY_TIMEOUT;
+        this.readyTimer = setTimeout(() => {
+            this.rejectReady(new Error(`Viewer at ${url.href} did not answer within ${readyTimeout} ms`));
+        }, readyTimeout);
+        this.ready.then(() => clearTimeout(this.readyTimer), () => clearTimeout(this.readyTimer));
+
+        this.handleMessage = this.handleMessage.bind(this);
+        window.addEventListener('message', this.handleMessage);
+
+        // The viewer only talks to the page that says hello, once its scripts have run
+        this.iframe.addEventListener('load', () => this.post({ type: 'connect' }));
+        this.iframe.addEventListener('error', () => this.rejectReady(new Error(`Viewer at ${url.href} failed to load`)));
+        container.appendChild(this.iframe);
+
+        const settings = {};
+        if (typeof options.lightbox === 'boolean') settings.lightbox = options.lightbox;
+        if (typeof options.download === 'boolean') settings.download = options.download;
+        if (Object.keys(settings).length > 0) this.setOptions(settings);
+        if (options.items) this.setItems(options.items);
+    }
+
+    post(message) {
+        const target = this.iframe.contentWindow;
+        // file:// pages have an opaque "null" origin that can't be targeted
+        if (target) target.postMessage({ source: EMBED_MESSAGE_SOURCE, ...message }, this.origin === 'null' ? '*' : this.origin);
+    }
+
+    handleMessage(e) {
+        const message = e.data;
+        if (e.source !== this.iframe.contentWindow || !message || message.source !== EMBED_MESSAGE_SOURCE) return;
+
+        if (message.type === 'ready') {
+            this.resolveReady();
+        } else if (message.type === 'result') {
+            const call = this.pending.get(message.id);
+            if (!call) return;
+            this.pending.delete(message.id);
+            if (message.error) {
+                call.reject(new Error(message.error));
+            } else {
+                call.resolve(message.result);
+            }
+        } else if (message.type === 'event') {
+            const listeners = this.listeners.get(message.name);
+            if (!listeners) return;
+            // A failing listener is logged so the others (and later events) still run
+            Array.from(listeners).forEach(listener => {
+                try {
+                    listener(message.detail);
+                } catch (error) {
+                    console.error(`❌ "${message.name}" listener failed:`, error);
+                }
+            });
+        }
+    }
+
+    /**
+     * Call a viewer method once the viewer is ready
+     * @returns {Promise} Method result
+     */
+    call(method, ...args) {
+        if (this.destroyed) return Promise.reject(new Error('Viewer was destroyed'));
+
+        return this.ready.then(() => new Promise((resolve, reject) => {
+            const id = this.nextCallId++;
+            this.pending.set(id, { resolve, reject });
+            this.post({ type: 'call', id, method, args });
+        }));
+    }
+
+    /**
+     * Listen for 'itemclick', 'itemdblclick', 'viewchange', 'itemsloaded' or 'configchange'.
+     * Items loaded before the viewer connected are announced with 'itemsloaded' right after it does.
+     * @param {Function} listener - Called with the event detail, e.g. {item}
+     * @returns {Function} Removes the listener again
+     */
+    on(name, listener) {
+        if (!this.listeners.has(name)) this.listeners.set(name, new Set());
+        this.listeners.get(name).add(listener);
+        return () => this.off(name, listener);
+    }
+
+    off(name, listener) {
+        const listeners = this.listeners.get(name);
+        if (listeners) listeners.delete(listener);
+    }
+
+    /**
+     * Remove the viewer from the page; pending calls are rejected
+     */
+    destroy() {
+        if (this.destroyed) return;
+        this.destroyed = true;
+
+        window.removeEventListener('message', this.handleMessage);
+        this.iframe.remove();
+        this.listeners.clear();
+        this.rejectReady(new Error('Viewer was destroyed'));
+        this.pending.forEach(call => call.reject(new Error('Viewer was destroyed')));
+        this.pending.clear();
+    }
+}
+
+// viewer.setItems(items), viewer.flyTo(x, y, zoom), ... (see VIEWER_API_METHODS in api.js)
+EMBED_METHODS.forEach(method => {
+    EmbeddedViewer.prototype[method] = function (...args) {
+        return this.call(method, ...args);
+    };
+});
+
+window.MEGHTOSH = Object.assign(window.MEGHTOSH || {}, {
+    /**
+     * Put a viewer into a container element
+     * @returns {EmbeddedViewer}
+     */
+    create(container, options) {
+        return new EmbeddedViewer(container, options);
+    }
+});
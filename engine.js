@@ -0,0 +1,206 @@
+// MEGHTOSH Virtualization Core
+// DOM-free geometry behind the canvas: camera <-> world conversion, visible
+// sets, render diffs and which grid cells (world chunks, wrap repetitions) to
+// load or drop. Everything works on plain objects, so it also runs in Node:
+//
+//   const { SpatialIndex } = require('./spatial-index.js');
+//   const { TileVirtualizer, getViewportWorldBounds } = require('./engine.js');
+//
+// A camera is {panX, panY, zoom, viewportWidth, viewportHeight} (the app passes
+// its `state`); rectangles are {left, top, right, bottom} in world pixels.
+
+/**
+ * Convert a screen (viewport) point to world coordinates
+ */
+function screenToWorldPoint(camera, screenX, screenY) {
+    return {
+        x: (screenX - camera.panX) / camera.zoom,
+        y: (screenY - camera.panY) / camera.zoom
+    };
+}
+
+/**
+ * World rectangle covered by the viewport, grown by a buffer in world pixels
+ */
+function getViewportWorldBounds(camera, buffer = 0) {
+    const topLeft = screenToWorldPoint(camera, 0, 0);
+    const bottomRight = screenToWorldPoint(camera, camera.viewportWidth, camera.viewportHeight);
+    return {
+        left: topLeft.x - buffer,
+        top: topLeft.y - buffer,
+        right: bottomRight.x + buffer,
+        bottom: bottomRight.y + buffer
+    };
+}
+
+/**
+ * Whether an item ({x, y, w, h}) touches a rectangle (edges count)
+ */
+function rectIntersects(item, bounds) {
+    return !(
+        item.x + item.w < bounds.left ||
+        item.x > bounds.right ||
+        item.y + item.h < bounds.top ||
+        item.y > bounds.bottom
+    );
+}
+
+/**
+ * Size of the canvas needed for everything in a spatial index
+ * @returns {Object} {width, height}
+ */
+function getCanvasDimensions(index) {
+    const bounds = index.getBounds();
+    if (!bounds) return { width: 0, height: 0 };
+
+    // Layouts produce variable tile sizes, so measure the indexed extent
+    return {
+        width: Math.max(0, bounds.right),
+        height: Math.max(0, bounds.bottom)
+    };
+}
+
+/**
+ * Items of a spatial index inside a rectangle (index lookup, not a full scan)
+ */
+function queryVisibleItems(index, bounds) {
+    return index.query(bounds).filter(item => rectIntersects(item, bounds));
+}
+
+/**
+ * Which cells of a regular grid to load and which to drop, for chunked content
+ * (world.js chunks, wrap.js repetitions). Cells under the bounds are needed;
+ * loaded cells survive until they are more than keepMargin cells away.
+ * @param {Iterable<string>} loadedKeys - Keys ("i,j") of the loaded cells
+ * @param {Object} bounds - World rectangle that must be covered
+ * @param {number} cellWidth - Cell size in world pixels
+ * @param {number} cellHeight - Cell size in world pixels
+ * @param {number} keepMargin - Cells kept around the needed ones
+ * @returns {Object} {add: [{i, j, key}], remove: [key]}
+ */
+function diffGridCells(loadedKeys, bounds, cellWidth, cellHeight, keepMargin = 0) {
+    const range = (margin) => ({
+        left: Math.floor(bounds.left / cellWidth) - margin,
+        right: Math.floor(bounds.right / cellWidth) + margin,
+        top: Math.floor(bounds.top / cellHeight) - margin,
+        bottom: Math.floor(bounds.bottom / cellHeight) + margin
+    });
+    const needed = range(0);
+    const kept = range(keepMargin);
+    const loaded = new Set(loadedKeys);
+
+    const remove = [];
+    loaded.forEach(key => {
+        const [i, j] = key.split(',').map(Number);
+        if (i < kept.left || i > kept.right || j < kept.top || j > kept.bottom) remove.push(key);
+    });
+
+    const add = [];
+    for (let j = needed.top; j <= needed.bottom; j++) {
+        for (let i = needed.left; i <= needed.right; i++) {
+            const key = `${i},${j}`;
+            if (!loaded.has(key)) add.push({ i, j, key });
+        }
+    }
+    return { add, remove };
+}
+
+// ============================================================================
+// Tile Virtualizer
+// ============================================================================
+
+/**
+ * Tracks which items are rendered and turns each camera update into a diff.
+ * The renderer applies the diff (app.js creates, moves and releases DOM tiles).
+ */
+class TileVirtualizer {
+    /**
+     * @param {SpatialIndex} index - Items to virtualize
+     * @param {Object} options - {buffer: world px around the viewport, maxNodes: cap on buffered items}
+     */
+    constructor(index, options = {}) {
+        this.index = index;
+        this.buffer = options.buffer ?? 0;
+        this.maxNodes = options.maxNodes ?? Infinity;
+        this.rendered = new Map(); // Map<itemId (string), {x, y, w, h}> as last applied
+    }
+
+    /**
+     * Items that should be rendered for a camera: everything inside the buffered
+     * viewport. Past maxNodes the buffer ring is trimmed to the items nearest the
+     * centre; items actually on screen are always kept.
+     */
+    getVisibleItems(camera) {
+        const bounds = getViewportWorldBounds(camera, this.buffer);
+        const items = queryVisibleItems(this.index, bounds);
+        if (items.length <= this.maxNodes) return items;
+
+        const screen = getViewportWorldBounds(camera);
+        const onScreen = [];
+        const buffered = [];
+        items.forEach(item => (rectIntersects(item, screen) ? onScreen : buffered).push(item));
+
+        const centerX = (screen.left + screen.right) / 2;
+        const centerY = (screen.top + screen.bottom) / 2;
+        const distance = item => Math.hypot(item.x + item.w / 2 - centerX, item.y + item.h / 2 - centerY);
+        const nearest = buffered
+            .map(item => ({ item, distance: distance(item) }))
+            .sort((a, b) => a.distance - b.distance)
+            .slice(0, Math.max(0, this.maxNodes - onScreen.length))
+            .map(entry => entry.item);
+        return onScreen.concat(nearest);
+    }
+
+    /**
+     * Work out what changed since the last update and record the new state
+     * @param {Object|null} camera - Camera, or null to render nothing
+     * @returns {Object} {visible: items, add: items, remove: ids, move: items whose rect changed}
+     */
+    update(camera) {
+        const visible = camera ? this.getVisibleItems(camera) : [];
+        const visibleIds = new Set(visible.map(item => String(item.id)));
+
+        const remove = [];
+        this.rendered.forEach((rect, itemId) => {
+            if (!visibleIds.has(itemId)) remove.push(itemId);
+        });
+        remove.forEach(itemId => this.rendered.delete(itemId));
+
+        const add = [];
+        const move = [];
+        visible.forEach(item => {
+            const itemId = String(item.id);
+            const rect = this.rendered.get(itemId);
+            if (!rect) {
+                add.push(item);
+            } else if (rect.x !== item.x || rect.y !== item.y || rect.w !== item.w || rect.h !== item.h) {
+                move.push(item); // Re-laid out, or a re-created wrap copy
+            } else {
+                return;
+            }
+            this.rendered.set(itemId, { x: item.x, y: item.y, w: item.w, h: item.h });
+        });
+
+        return { visible, add, remove, move };
+    }
+
+    /**
+     * Forget everything rendered (the caller has already removed it)
+     */
+    reset() {
+        this.rendered.clear();
+    }
+}
+
+// Node.js (headless use, e.g. tests and scripts)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        screenToWorldPoint,
+        getViewportWorldBounds,
+        rectIntersects,
+        getCanvasDimensions,
+        queryVisibleItems,
+        diffGridCells,
+        TileVirtualizer
+    };
+}
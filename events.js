@@ -0,0 +1,53 @@
+// MEGHTOSH Viewer Events
+// Small event emitter the modules use to announce what happened (items loaded,
+// camera moved, tile clicked) instead of calling each other through window
+// globals. api.js re-exposes it to scripts on the page and to embedding pages.
+
+const viewerListeners = new Map(); // Map<eventName, Set<Function>>
+
+/**
+ * Listen for a viewer event
+ * @param {string} name - e.g. 'itemsloaded'
+ * @param {Function} listener - Called with {type, detail, preventDefault()}
+ * @returns {Function} Removes the listener again
+ */
+function onViewerEvent(name, listener) {
+    if (!viewerListeners.has(name)) viewerListeners.set(name, new Set());
+    viewerListeners.get(name).add(listener);
+    return () => offViewerEvent(name, listener);
+}
+
+function offViewerEvent(name, listener) {
+    const listeners = viewerListeners.get(name);
+    if (listeners) listeners.delete(listener);
+}
+
+/**
+ * Call every listener of an event. A failing listener is logged, not rethrown,
+ * so one embedder's bug can't break rendering.
+ * @param {string} name - Event name
+ * @param {Object} detail - Event data (kept structured-cloneable for embedding)
+ * @returns {boolean} False when a listener called preventDefault()
+ */
+function emitViewerEvent(name, detail = {}) {
+    const listeners = viewerListeners.get(name);
+    if (!listeners || listeners.size === 0) return true;
+
+    let defaultPrevented = false;
+    const event = {
+        type: name,
+        detail,
+        preventDefault() {
+            defaultPrevented = true;
+        }
+    };
+
+    Array.from(listeners).forEach(listener => {
+        try {
+            listener(event);
+        } catch (error) {
+            console.error(`❌ "${name}" listener failed:`, error);
+        }
+    });
+    return !defaultPrevented;
+}
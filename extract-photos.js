@@ -1,100 +1,413 @@
 #!/usr/bin/env node
 
 /**
- * Helper script to extract image URLs from Google Photos shared albums
- * 
- * This script helps extract direct image URLs from Google Photos shared links.
- * Run this with Node.js: node extract-photos.js
- * 
+ * Extract image URLs from Google Photos shared albums into photos-data.json
+ *
+ * Usage:
+ *   node extract-photos.js [options] [album-url ...]
+ *
+ * Options:
+ *   --album <url>          Album link to scan (repeatable; positional URLs work too)
+ *   --albums-file <path>   File with one album per line: "<url>" or "<album-id> <url>" (# for comments)
+ *   --out <path>           Manifest to write (default: photos-data.json)
+ *   --merge                Merge into the existing manifest, keeping ids of known items stable
+ *   --keep-removed         With --merge, keep items that are no longer in their (scanned) album
+ *   --dry-run              Print the summary without writing anything
+ *   --max-redirects <n>    Redirects to follow per album link (default: 5)
+ *   --help                 Show this help
+ *
+ * With no albums given, the two trip albums are scanned.
+ *
  * Note: Due to CORS and Google Photos security, you may need to:
  * 1. Use the Google Photos API (recommended)
  * 2. Or manually extract URLs from the album pages
  * 3. Or use a browser extension to export URLs
  */
 
+const http = require('http');
 const https = require('https');
 const fs = require('fs');
+const { parseManifest, MANIFEST_VERSION } = require('./manifest');
 
 const ALBUM_LINKS = [
     'https://photos.app.goo.gl/fzWXAYTjxVAJYk7o6',
     'https://photos.app.goo.gl/gFbq1VA5iEVqJmEz5'
 ];
 
+const DEFAULT_OUTPUT = 'photos-data.json';
+const DEFAULT_MAX_REDIRECTS = 5;
+
+// ============================================================================
+// Command Line
+// ============================================================================
+
 /**
- * Extract image URLs from Google Photos album HTML
- * This is a basic attempt - Google Photos heavily uses JavaScript, so this may not work perfectly
+ * Parse command line arguments
+ * @param {Array<string>} argv - Arguments without node and script path
+ * @returns {Object} Options
  */
-async function extractUrlsFromAlbum(albumUrl) {
+function parseArgs(argv) {
+    const options = {
+        albums: [],
+        albumsFile: null,
+        out: DEFAULT_OUTPUT,
+        merge: false,
+        keepRemoved: false,
+        dryRun: false,
+        maxRedirects: DEFAULT_MAX_REDIRECTS,
+        help: false
+    };
+
+    const takeValue = (flag, index) => {
+        const value = argv[index + 1];
+        if (value === undefined || value.startsWith('--')) {
+            throw new Error(`${flag} needs a value`);
+        }
+        return value;
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        switch (arg) {
+            case '--album':
+                options.albums.push({ id: null, url: takeValue(arg, i++) });
+                break;
+            case '--albums-file':
+                options.albumsFile = takeValue(arg, i++);
+                break;
+            case '--out':
+                options.out = takeValue(arg, i++);
+                break;
+            case '--merge':
+                options.merge = true;
+                break;
+            case '--keep-removed':
+                options.keepRemoved = true;
+                break;
+            case '--dry-run':
+                options.dryRun = true;
+                break;
+            case '--max-redirects': {
+                const value = Number(takeValue(arg, i++));
+                if (!Number.isInteger(value) || value < 0) {
+                    throw new Error('--max-redirects must be a non-negative integer');
+                }
+                options.maxRedirects = value;
+                break;
+            }
+            case '--help':
+            case '-h':
+                options.help = true;
+                break;
+            default:
+                if (arg.startsWith('--')) {
+                    throw new Error(`Unknown option ${arg}`);
+                }
+                options.albums.push({ id: null, url: arg });
+        }
+    }
+
+    if (options.keepRemoved && !options.merge) {
+        throw new Error('--keep-removed only makes sense with --merge');
+    }
+
+    return options;
+}
+
+/**
+ * Read album links from a file: "<url>" or "<album-id> <url>" per line
+ */
+function readAlbumsFile(filePath) {
+    return fs.readFileSync(filePath, 'utf8')
+        .split(/\r?\n/)
+        .map(line => line.replace(/#.*$/, '').trim())
+        .filter(Boolean)
+        .map(line => {
+            const parts = line.split(/\s+/);
+            return parts.length > 1
+                ? { id: parts[0], url: parts[1] }
+                : { id: null, url: parts[0] };
+        });
+}
+
+function printHelp() {
+    const usage = fs.readFileSync(__filename, 'utf8').match(/\/\*\*([\s\S]*?)\*\//)[1];
+    console.log(usage.replace(/^ \* ?/gm, '').trim());
+}
+
+// ============================================================================
+// Fetching
+// ============================================================================
+
+/**
+ * GET a URL as text, following redirects (photos.app.goo.gl links redirect
+ * to photos.google.com). Works with http:// so a local stand-in server can
+ * serve saved album pages.
+ * @param {string} url - URL to fetch
+ * @param {Object} options - {maxRedirects}
+ * @returns {Promise<Object>} {url (final), body}
+ */
+function fetchText(url, options = {}) {
+    const maxRedirects = options.maxRedirects ?? DEFAULT_MAX_REDIRECTS;
+
     return new Promise((resolve, reject) => {
-        https.get(albumUrl, (res) => {
+        const client = url.startsWith('http://') ? http : https;
+        const request = client.get(url, (res) => {
+            const { statusCode, headers } = res;
+
+            if (statusCode >= 300 && statusCode < 400 && headers.location) {
+                res.resume(); // Discard the redirect body
+                if (maxRedirects <= 0) {
+                    reject(new Error(`Too many redirects for ${url}`));
+                    return;
+                }
+                const nextUrl = new URL(headers.location, url).toString();
+                fetchText(nextUrl, { maxRedirects: maxRedirects - 1 }).then(resolve, reject);
+                return;
+            }
+
+            if (statusCode !== 200) {
+                res.resume();
+                reject(new Error(`HTTP ${statusCode} for ${url}`));
+                return;
+            }
+
             let data = '';
-            
+            res.setEncoding('utf8');
             res.on('data', (chunk) => {
                 data += chunk;
             });
-            
-            res.on('end', () => {
-                const items = [];
-                
-                // Try to find image URLs in the HTML
-                // Google Photos uses baseUrl patterns like:
-                // "https://lh3.googleusercontent.com/pw/..."
-                const imageUrlRegex = /(https:\/\/lh3\.googleusercontent\.com[^\s"']+)/g;
-                const videoUrlRegex = /(https:\/\/[^\s"']*\.(mp4|webm|mov)[^\s"']*)/gi;
-                
-                // Extract image URLs
-                const imageMatches = data.match(imageUrlRegex) || [];
-                const videoMatches = data.match(videoUrlRegex) || [];
-                
-                // Process images
-                [...new Set(imageMatches)].forEach((url, index) => {
-                    // Clean up URL (remove query parameters that might break it)
-                    const cleanUrl = url.split('"')[0].split("'")[0].split('\\')[0];
-                    items.push({
-                        id: items.length + 1,
-                        type: 'photo',
-                        src: cleanUrl
-                    });
-                });
-                
-                // Process videos
-                [...new Set(videoMatches)].forEach((url) => {
-                    items.push({
-                        id: items.length + 1,
-                        type: 'video',
-                        src: url
-                    });
-                });
-                
-                resolve(items);
-            });
-        }).on('error', (err) => {
-            reject(err);
+            res.on('end', () => resolve({ url, body: data }));
         });
+
+        request.on('error', reject);
     });
 }
 
 /**
- * Main extraction function
+ * Extract image and video URLs from Google Photos album HTML
+ * This is a basic attempt - Google Photos heavily uses JavaScript, so this may not work perfectly
+ *
+ * Only the album data passed to AF_initDataCallback() in inline scripts is read:
+ * elsewhere the page has the album cover (<meta property="og:image">) and
+ * profile pictures (lh3 /a/ and /ogw/ paths), which are not album media.
+ * @returns {Array} Items with type and src (no ids yet), one per media
  */
-async function main() {
-    console.log('Extracting images from Google Photos albums...');
-    console.log('Note: This may not work perfectly due to Google Photos JavaScript rendering.\n');
-    
-    const allItems = [];
-    
-    for (const albumUrl of ALBUM_LINKS) {
-        console.log(`Processing: ${albumUrl}`);
+function extractItemsFromHtml(html) {
+    const items = [];
+    const data = (html.match(/AF_initDataCallback\([\s\S]*?\);?\s*<\/script>/g) || []).join('\n');
+
+    // Shared album media use baseUrl patterns like:
+    // "https://lh3.googleusercontent.com/pw/..."
+    const imageUrlRegex = /(https:\/\/lh3\.googleusercontent\.com\/pw\/[^\s"']+)/g;
+    const videoUrlRegex = /(https:\/\/[^\s"']*\.(mp4|webm|mov)[^\s"']*)/gi;
+
+    const imageMatches = data.match(imageUrlRegex) || [];
+    const videoMatches = data.match(videoUrlRegex) || [];
+
+    // Clean up URLs (cut at escaped quotes/backslashes from inline JSON)
+    const cleanUrl = (url) => url.split('"')[0].split("'")[0].split('\\')[0];
+
+    // The same media shows up at several sizes; keep its first URL
+    const seenKeys = new Set();
+    const add = (type, src) => {
+        const key = getMediaKey(src);
+        if (seenKeys.has(key)) return;
+        seenKeys.add(key);
+        items.push({ type, src });
+    };
+    imageMatches.map(cleanUrl).forEach(src => add('photo', src));
+    videoMatches.map(cleanUrl).forEach(src => add('video', src));
+
+    return items;
+}
+
+/**
+ * Fetch an album page and extract its items
+ * @param {string} albumUrl - Album link (short links are followed)
+ * @param {Object} options - {maxRedirects}
+ * @returns {Promise<Array>} Items with type and src
+ */
+async function extractUrlsFromAlbum(albumUrl, options = {}) {
+    const { body } = await fetchText(albumUrl, options);
+    return extractItemsFromHtml(body);
+}
+
+// ============================================================================
+// Merging
+// ============================================================================
+
+/**
+ * Key used to recognise the same media across runs (Google size suffixes ignored)
+ */
+function getMediaKey(src) {
+    return src.includes('googleusercontent.com') ? src.split('=')[0] : src;
+}
+
+/**
+ * Give albums stable ids: keep known ones, otherwise drive1, drive2, ...
+ * (ids given explicitly anywhere in the list are never generated)
+ */
+function assignAlbumIds(albums, existingAlbums) {
+    const used = new Set(existingAlbums.map(album => album.id));
+    albums.forEach(album => {
+        if (album.id) used.add(album.id);
+    });
+    let counter = 1;
+
+    return albums.map(album => {
+        if (album.id) return album;
+        const known = existingAlbums.find(existing => existing.url === album.url);
+        if (known) return { ...album, id: known.id };
+
+        while (used.has(`drive${counter}`)) counter++;
+        used.add(`drive${counter}`);
+        return { ...album, id: `drive${counter}` };
+    });
+}
+
+/**
+ * Combine scraped items with an existing manifest. Items of albums that were
+ * not scanned (not asked for, or unreachable) are carried over untouched; only
+ * items missing from a scanned album count as removed.
+ * @param {Array} scraped - [{album, items}] in album order
+ * @param {Array} existingItems - Items already in the manifest (empty unless merging)
+ * @param {Object} options - {keepRemoved}
+ * @returns {Object} {items, summary: {added, kept, duplicates, removed, carried}}
+ */
+function mergeItems(scraped, existingItems, options = {}) {
+    const existingByKey = new Map(existingItems.map(item => [getMediaKey(item.src), item]));
+    const numericIds = existingItems.map(item => Number(item.id)).filter(Number.isInteger);
+    let nextId = Math.max(0, ...numericIds) + 1;
+
+    const seenKeys = new Set();
+    const items = [];
+    const summary = { added: 0, kept: 0, duplicates: 0, removed: 0, carried: 0 };
+
+    scraped.forEach(({ album, items: albumItems }) => {
+        albumItems.forEach(entry => {
+            const key = getMediaKey(entry.src);
+            if (seenKeys.has(key)) {
+                summary.duplicates++;
+                return;
+            }
+            seenKeys.add(key);
+
+            const existing = existingByKey.get(key);
+            if (existing) {
+                // Stable id; keep hand-added fields (captions, tags, ...)
+                items.push({ ...existing, src: entry.src, album: existing.album || album.id });
+                summary.kept++;
+            } else {
+                items.push({ id: nextId++, type: entry.type, src: entry.src, album: album.id });
+                summary.added++;
+            }
+        });
+    });
+
+    // Items without an album predate album tagging and may be in any of them
+    const scannedIds = new Set(scraped.map(({ album }) => album.id));
+    existingItems.forEach(item => {
+        if (seenKeys.has(getMediaKey(item.src))) return;
+        if (item.album && !scannedIds.has(item.album)) {
+            items.push(item);
+            summary.carried++;
+            return;
+        }
+        summary.removed++;
+        if (options.keepRemoved) items.push(item);
+    });
+
+    return { items, summary };
+}
+
+// ============================================================================
+// Main
+// ============================================================================
+
+/**
+ * Run an extraction
+ * @param {Object} options - Output of parseArgs()
+ * @returns {Promise<Object>} {manifest, summary, failedAlbums}
+ */
+async function run(options) {
+    let albums = [...options.albums];
+    if (options.albumsFile) {
+        albums.push(...readAlbumsFile(options.albumsFile));
+    }
+    if (albums.length === 0) {
+        albums = ALBUM_LINKS.map(url => ({ id: null, url }));
+    }
+
+    let existing = { albums: [], items: [] };
+    if (options.merge && fs.existsSync(options.out)) {
+        existing = parseManifest(JSON.parse(fs.readFileSync(options.out, 'utf8')));
+        existing.issues.forEach(issue => console.warn(`  ⚠️ ${options.out}: ${issue.message}`));
+    }
+
+    albums = assignAlbumIds(albums, existing.albums);
+
+    const scraped = [];
+    const failedAlbums = [];
+    for (const album of albums) {
+        console.log(`Processing: ${album.url}`);
         try {
-            const items = await extractUrlsFromAlbum(albumUrl);
+            const items = await extractUrlsFromAlbum(album.url, { maxRedirects: options.maxRedirects });
             console.log(`  Found ${items.length} items`);
-            allItems.push(...items);
+            scraped.push({ album, items });
         } catch (error) {
             console.error(`  Error processing album: ${error.message}`);
+            failedAlbums.push(album);
         }
     }
-    
-    if (allItems.length === 0) {
+
+    // Unreachable albums are left out of `scraped`, so their items are carried over
+    const { items, summary } = mergeItems(scraped, existing.items, options);
+
+    // Keep albums from the existing manifest that were not scanned this time
+    const otherAlbums = existing.albums.filter(album => !albums.some(scanned => scanned.id === album.id));
+
+    const manifest = {
+        version: MANIFEST_VERSION,
+        albums: [...albums, ...otherAlbums].map(({ id, url, title }) => (title ? { id, title, url } : { id, url })),
+        items
+    };
+
+    return { manifest, summary, failedAlbums };
+}
+
+async function main(argv = process.argv.slice(2)) {
+    let options;
+    try {
+        options = parseArgs(argv);
+    } catch (error) {
+        console.error(`❌ ${error.message}\n`);
+        printHelp();
+        process.exitCode = 1;
+        return;
+    }
+
+    if (options.help) {
+        printHelp();
+        return;
+    }
+
+    console.log('Extracting images from Google Photos albums...');
+    console.log('Note: This may not work perfectly due to Google Photos JavaScript rendering.\n');
+
+    const { manifest, summary, failedAlbums } = await run(options);
+
+    console.log('\nSummary:');
+    console.log(`  New:        ${summary.added}`);
+    console.log(`  Unchanged:  ${summary.kept}`);
+    console.log(`  Duplicates: ${summary.duplicates}`);
+    console.log(`  Removed:    ${summary.removed}${options.keepRemoved ? ' (kept)' : ''}`);
+    console.log(`  Untouched:  ${summary.carried} (albums not scanned)`);
+    if (failedAlbums.length > 0) {
+        console.log(`  Failed albums: ${failedAlbums.map(album => album.url).join(', ')}`);
+    }
+
+    if (manifest.items.length === 0) {
         console.log('\n❌ Could not extract URLs automatically.');
         console.log('\nAlternative methods:');
         console.log('1. Use Google Photos API (see: https://developers.google.com/photos)');
@@ -102,29 +415,42 @@ async function main() {
         console.log('3. Use a browser extension like "Image Downloader" to export URLs');
         console.log('\nOnce you have URLs, save them to photos-data.json in this format:');
         console.log(JSON.stringify({
+            version: 2,
             items: [
                 { id: 1, type: 'photo', src: 'https://example.com/image1.jpg' },
                 { id: 2, type: 'video', src: 'https://example.com/video1.mp4' }
             ]
         }, null, 2));
+        process.exitCode = 1;
         return;
     }
-    
-    // Save to JSON file
-    const outputData = {
-        drive1: ALBUM_LINKS[0],
-        drive2: ALBUM_LINKS[1],
-        items: allItems
-    };
-    
-    fs.writeFileSync('photos-data.json', JSON.stringify(outputData, null, 2));
-    console.log(`\n✅ Extracted ${allItems.length} items and saved to photos-data.json`);
+
+    if (options.dryRun) {
+        console.log(`\n🔎 Dry run: ${manifest.items.length} items would be written to ${options.out}`);
+        return;
+    }
+
+    fs.writeFileSync(options.out, `${JSON.stringify(manifest, null, 2)}\n`);
+    console.log(`\n✅ Saved ${manifest.items.length} items to ${options.out}`);
 }
 
 // Run if executed directly
 if (require.main === module) {
-    main().catch(console.error);
+    main().catch((error) => {
+        console.error(error);
+        process.exitCode = 1;
+    });
 }
 
-module.exports = { extractUrlsFromAlbum };
-
+module.exports = {
+    parseArgs,
+    readAlbumsFile,
+    fetchText,
+    extractItemsFromHtml,
+    extractUrlsFromAlbum,
+    getMediaKey,
+    assignAlbumIds,
+    mergeItems,
+    run,
+    main
+};
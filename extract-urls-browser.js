@@ -81,7 +81,7 @@ function extractUrls() {
     console.log(JSON.stringify(items, null, 2));
     
     // Also try to copy to clipboard if possible
-    const json = JSON.stringify({ items: items }, null, 2);
+    const json = JSON.stringify({ version: 2, items: items }, null, 2);
     if (navigator.clipboard && navigator.clipboard.writeText) {
         navigator.clipboard.writeText(json).then(() => {
             console.log('\n📋 Copied to clipboard! Paste into photos-data.json');
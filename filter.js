@@ -0,0 +1,306 @@
+// MEGHTOSH Filter & Search
+// Filter bar for manifest data: media type, album, tag, capture date range and
+// caption text. Non-matching items are either left out of the layout (the
+// remaining items close up) or dimmed in place.
+// Note: showLoadedItems() (data.js) asks isItemFilteredOut() which items to lay out
+
+const FILTER_MODES = ['hide', 'dim'];
+const FILTER_TEXT_DELAY_MS = 200; // Typing pause before the filter applies
+const FILTER_DIM_OPACITY = 0.15; // Overview canvas; DOM tiles use .filtered-out
+
+const filterState = {
+    criteria: getEmptyFilterCriteria(),
+    mode: 'hide',
+    textTimer: null,
+    elements: null
+};
+
+/**
+ * Criteria that match everything
+ * @returns {Object} {text, type, album, tag, from, to}; album null = any, dates 'YYYY-MM-DD'
+ */
+function getEmptyFilterCriteria() {
+    return { text: '', type: '', album: null, tag: '', from: '', to: '' };
+}
+
+function isFilterActive() {
+    const { text, type, album, tag, from, to } = filterState.criteria;
+    return text.trim() !== '' || type !== '' || album !== null || tag !== '' || from !== '' || to !== '';
+}
+
+/**
+ * Whether an item passes every criterion
+ */
+function itemMatchesFilter(item) {
+    const { text, type, album, tag, from, to } = filterState.criteria;
+
+    if (type && item.type !== type) return false;
+    if (album !== null && getItemAlbumId(item) !== album) return false;
+    if (tag && !(item.tags || []).includes(tag)) return false;
+
+    if (from || to) {
+        if (!item.takenAt) return false;
+        const day = getCaptureDayKey(item.takenAt);
+        if ((from && day < from) || (to && day > to)) return false;
+    }
+
+    const query = text.trim().toLowerCase();
+    if (query && !(item.caption || '').toLowerCase().includes(query)) return false;
+    return true;
+}
+
+/**
+ * Left out of the layout ('hide' mode)
+ */
+function isItemFilteredOut(item) {
+    return filterState.mode === 'hide' && isFilterActive() && !itemMatchesFilter(item);
+}
+
+/**
+ * Shown faded in place ('dim' mode)
+ */
+function isItemDimmed(item) {
+    return filterState.mode === 'dim' && isFilterActive() && !itemMatchesFilter(item);
+}
+
+/**
+ * Matching items out of those in shown albums
+ * @returns {Object} {matches, total}
+ */
+function countFilterMatches() {
+    const items = LOADED_ITEMS.filter(item => !isAlbumHidden(item.album));
+    return {
+        matches: isFilterActive() ? items.filter(itemMatchesFilter).length : items.length,
+        total: items.length
+    };
+}
+
+// ============================================================================
+// Applying
+// ============================================================================
+
+/**
+ * Item to keep in view across a filter change: the focused item if it still
+ * matches, otherwise the matching item nearest the middle of the screen
+ * @returns {Object|null} Item
+ */
+function findFilterAnchor() {
+    const focused = state.focusedItemId && findItemById(state.focusedItemId);
+    if (focused && itemMatchesFilter(focused)) return focused;
+
+    const center = screenToWorld(state.viewportWidth / 2, state.viewportHeight / 2);
+    let nearest = null;
+    let nearestDistance = Infinity;
+    ITEM_INDEX.forEach(item => {
+        if (!itemMatchesFilter(item)) return;
+        const distance = Math.hypot(item.x + item.w / 2 - center.x, item.y + item.h / 2 - center.y);
+        if (distance < nearestDistance) {
+            nearestDistance = distance;
+            nearest = item;
+        }
+    });
+    return nearest;
+}
+
+/**
+ * Fade the rendered tiles that don't match (the overview canvas reads isItemDimmed())
+ */
+function updateDimmedTiles() {
+    renderedItems.forEach((element, itemId) => {
+        const item = ITEM_INDEX.get(itemId);
+        element.classList.toggle('filtered-out', Boolean(item) && isItemDimmed(item));
+    });
+}
+
+/**
+ * Apply the current criteria and mode. In 'hide' mode the matching items are
+ * laid out again; either way the camera stays on (or moves to) a matching item.
+ * @param {boolean} relayout - Also re-lay out (criteria changed in 'hide' mode, or the mode changed)
+ */
+function applyFilter(relayout) {
+    updateFilterCount();
+    if (!usingRealData) return;
+
+    const anchor = findFilterAnchor();
+
+    if (relayout) {
+        showLoadedItems();
+        initializeCanvas();
+        updateTimelineMenu();
+    }
+    updateDimmedTiles();
+
+    // Wrapped copies are re-created at their new position
+    const target = anchor && (findItemById(anchor.id) || ITEM_INDEX.get(anchor.baseId ?? anchor.id));
+    if (relayout) {
+        const fallback = ITEM_DATA.find(itemMatchesFilter);
+        if (target || fallback) {
+            centerOnItem(target || fallback);
+        } else {
+            loadFromCenter();
+        }
+    } else if (target && !itemIntersectsViewport(target, getScreenWorldBounds())) {
+        // Nothing matching on screen: bring the nearest match in without changing zoom
+        flyTo(target.x + target.w / 2, target.y + target.h / 2);
+    } else {
+        scheduleRender(); // Repaint the overview canvas
+    }
+}
+
+/**
+ * Change criteria (merged into the current ones) and/or the mode
+ * @param {Object} criteria - Any of {text, type, album, tag, from, to}
+ * @param {string} mode - 'hide' or 'dim' (unchanged when omitted)
+ */
+function setFilter(criteria = {}, mode = filterState.mode) {
+    if (!FILTER_MODES.includes(mode)) {
+        console.warn(`Unknown filter mode "${mode}". Available: ${FILTER_MODES.join(', ')}`);
+        return;
+    }
+
+    const modeChanged = mode !== filterState.mode;
+    filterState.criteria = { ...filterState.criteria, ...criteria };
+    filterState.mode = mode;
+    applyFilter(modeChanged || mode === 'hide');
+}
+
+function clearFilter() {
+    setFilter(getEmptyFilterCriteria());
+}
+
+/**
+ * Forget the criteria without re-laying out (new data replaces the old items)
+ */
+function resetFilter() {
+    clearTimeout(filterState.textTimer);
+    filterState.criteria = getEmptyFilterCriteria();
+}
+
+// ============================================================================
+// Filter Bar
+// ============================================================================
+
+function createFilterSelect(className, label, onChange) {
+    const select = document.createElement('select');
+    select.className = className;
+    select.setAttribute('aria-label', label);
+    select.addEventListener('change', () => onChange(select.value));
+    return select;
+}
+
+function createFilterDate(label, onChange) {
+    const input = document.createElement('input');
+    input.type = 'date';
+    input.className = 'filter-date';
+    input.setAttribute('aria-label', label);
+    input.addEventListener('change', () => onChange(input.value));
+    return input;
+}
+
+function getFilterBarElements() {
+    if (filterState.elements) return filterState.elements;
+
+    const bar = document.createElement('form');
+    bar.className = 'filter-bar';
+    bar.hidden = true;
+    bar.setAttribute('role', 'search');
+    bar.addEventListener('submit', (e) => e.preventDefault());
+
+    const text = document.createElement('input');
+    text.type = 'search';
+    text.className = 'filter-text';
+    text.placeholder = 'Search captions';
+    text.setAttribute('aria-label', 'Search captions');
+    text.addEventListener('input', () => {
+        clearTimeout(filterState.textTimer);
+        filterState.textTimer = setTimeout(() => setFilter({ text: text.value }), FILTER_TEXT_DELAY_MS);
+    });
+
+    const type = createFilterSelect('filter-type', 'Media type', value => setFilter({ type: value }));
+    [['', 'All media'], ['photo', 'Photos'], ['video', 'Videos']].forEach(([value, label]) => {
+        type.add(new Option(label, value));
+    });
+
+    // Album ids can be '' (no album), so options carry an "album:" prefix
+    const album = createFilterSelect('filter-album', 'Album', value => {
+        setFilter({ album: value ? value.slice('album:'.length) : null });
+    });
+    const tag = createFilterSelect('filter-tag', 'Tag', value => setFilter({ tag: value }));
+
+    const from = createFilterDate('Taken from', value => setFilter({ from: value }));
+    const to = createFilterDate('Taken until', value => setFilter({ to: value }));
+
+    const mode = createFilterSelect('filter-mode', 'Non-matching items', value => setFilter({}, value));
+    [['hide', 'Hide others'], ['dim', 'Dim others']].forEach(([value, label]) => {
+        mode.add(new Option(label, value));
+    });
+
+    const count = document.createElement('output');
+    count.className = 'filter-count';
+    count.setAttribute('aria-live', 'polite');
+
+    const clear = document.createElement('button');
+    clear.type = 'button';
+    clear.className = 'filter-clear';
+    clear.textContent = 'Clear';
+    clear.addEventListener('click', () => {
+        clearTimeout(filterState.textTimer);
+        clearFilter();
+        updateFilterBar();
+    });
+
+    bar.append(text, type, album, tag, from, to, mode, count, clear);
+    document.body.appendChild(bar);
+
+    filterState.elements = { bar, text, type, album, tag, from, to, mode, count, clear };
+    return filterState.elements;
+}
+
+/**
+ * Show "12 of 84" (or the total when nothing is filtered)
+ */
+function updateFilterCount() {
+    const { count, clear } = getFilterBarElements();
+    const { matches, total } = countFilterMatches();
+    count.textContent = isFilterActive() ? `${matches} of ${total}` : `${total} items`;
+    clear.disabled = !isFilterActive();
+}
+
+/**
+ * Rebuild the options from the loaded items (only criteria the data can answer
+ * are shown) and sync the controls with the criteria
+ */
+function updateFilterBar() {
+    const elements = getFilterBarElements();
+    const { criteria } = filterState;
+    elements.bar.hidden = !usingRealData;
+    if (!usingRealData) return;
+
+    const albums = groupItemsByAlbum(LOADED_ITEMS);
+    elements.album.replaceChildren(new Option('All albums', ''));
+    albums.forEach(group => elements.album.add(new Option(getAlbumLabel(group.id), `album:${group.id}`)));
+    elements.album.hidden = albums.length < 2;
+    elements.album.value = criteria.album === null ? '' : `album:${criteria.album}`;
+
+    const tags = Array.from(new Set(LOADED_ITEMS.flatMap(item => item.tags || []))).sort();
+    elements.tag.replaceChildren(new Option('All tags', ''));
+    tags.forEach(tag => elements.tag.add(new Option(tag, tag)));
+    elements.tag.hidden = tags.length === 0;
+    elements.tag.value = criteria.tag;
+
+    const days = LOADED_ITEMS.filter(item => item.takenAt).map(item => getCaptureDayKey(item.takenAt)).sort();
+    [elements.from, elements.to].forEach(input => {
+        input.hidden = days.length === 0;
+        input.min = days[0] || '';
+        input.max = days[days.length - 1] || '';
+    });
+    elements.from.value = criteria.from;
+    elements.to.value = criteria.to;
+
+    elements.text.value = criteria.text;
+    elements.type.value = criteria.type;
+    elements.mode.value = filterState.mode;
+    updateFilterCount();
+}
+
+onViewerEvent('itemsloaded', updateFilterBar);
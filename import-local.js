@@ -0,0 +1,752 @@
+#!/usr/bin/env node
+
+/**
+ * Build photos-data.json from a local folder of photos and videos
+ *
+ * Usage:
+ *   node import-local.js <folder> [options]
+ *
+ * Options:
+ *   --out <path>        Manifest to write (default: photos-data.json); src paths are relative to it
+ *   --recursive, -r     Include subfolders
+ *   --include <glob>    Only import matching files (repeatable), e.g. "*.jpg" or "day-?/*"
+ *   --exclude <glob>    Skip matching files and folders (repeatable), e.g. "thumbs"
+ *   --sort <order>      date (capture time, default), name or mtime
+ *   --reverse           Reverse the sort order
+ *   --dry-run           Print what would be imported without writing anything
+ *   --help              Show this help
+ *
+ * Globs match the path relative to <folder>; patterns without a "/" match the
+ * file name anywhere. Supports *, **, ? and {a,b}.
+ *
+ * Dimensions, capture time and GPS are read from the file headers (JPEG/PNG/WebP
+ * EXIF, MP4 movie header) without any dependencies.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseManifest, MANIFEST_VERSION } = require('./manifest');
+
+const MEDIA_EXTENSIONS = {
+    '.jpg': 'jpeg',
+    '.jpeg': 'jpeg',
+    '.png': 'png',
+    '.webp': 'webp',
+    '.mp4': 'mp4',
+    '.m4v': 'mp4'
+};
+
+const SORT_ORDERS = ['date', 'name', 'mtime'];
+
+// Seconds between the MP4 epoch (1904-01-01) and the Unix epoch
+const MP4_EPOCH_OFFSET = 2082844800;
+
+// Photos are read from the start of the file only; the prefix grows (up to the
+// limit) when large metadata blocks push the image size further in
+const HEADER_READ_BYTES = 256 * 1024;
+const HEADER_READ_LIMIT = 16 * 1024 * 1024;
+
+// ============================================================================
+// Command Line
+// ============================================================================
+
+/**
+ * Parse command line arguments
+ * @param {Array<string>} argv - Arguments without node and script path
+ * @returns {Object} Options
+ */
+function parseArgs(argv) {
+    const options = {
+        folder: null,
+        out: 'photos-data.json',
+        recursive: false,
+        include: [],
+        exclude: [],
+        sort: 'date',
+        reverse: false,
+        dryRun: false,
+        help: false
+    };
+
+    const takeValue = (flag, index) => {
+        const value = argv[index + 1];
+        if (value === undefined || value.startsWith('--')) {
+            throw new Error(`${flag} needs a value`);
+        }
+        return value;
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        switch (arg) {
+            case '--out':
+                options.out = takeValue(arg, i++);
+                break;
+            case '--recursive':
+            case '-r':
+                options.recursive = true;
+                break;
+            case '--include':
+                options.include.push(takeValue(arg, i++));
+                break;
+            case '--exclude':
+                options.exclude.push(takeValue(arg, i++));
+                break;
+            case '--sort':
+                options.sort = takeValue(arg, i++);
+                if (!SORT_ORDERS.includes(options.sort)) {
+                    throw new Error(`--sort must be one of ${SORT_ORDERS.join(', ')}`);
+                }
+                break;
+            case '--reverse':
+                options.reverse = true;
+                break;
+            case '--dry-run':
+                options.dryRun = true;
+                break;
+            case '--help':
+            case '-h':
+                options.help = true;
+                break;
+            default:
+                if (arg.startsWith('-')) {
+                    throw new Error(`Unknown option ${arg}`);
+                }
+                if (options.folder) {
+                    throw new Error(`Only one folder can be imported (got ${options.folder} and ${arg})`);
+                }
+                options.folder = arg;
+        }
+    }
+
+    if (!options.folder && !options.help) {
+        throw new Error('No folder given');
+    }
+
+    return options;
+}
+
+function printHelp() {
+    const usage = fs.readFileSync(__filename, 'utf8').match(/\/\*\*([\s\S]*?)\*\//)[1];
+    console.log(usage.replace(/^ \* ?/gm, '').trim());
+}
+
+// ============================================================================
+// Globs
+// ============================================================================
+
+/**
+ * Convert a glob (*, **, ?, {a,b}) to a RegExp matching whole paths
+ */
+function globToRegExp(glob) {
+    let pattern = '';
+    let braceDepth = 0;
+
+    for (let i = 0; i < glob.length; i++) {
+        const char = glob[i];
+        if (char === '*') {
+            if (glob[i + 1] === '*') {
+                // "**/" matches zero or more folders, a trailing "**" anything
+                if (glob[i + 2] === '/') {
+                    pattern += '(?:.*/)?';
+                    i += 2;
+                } else {
+                    pattern += '.*';
+                    i += 1;
+                }
+            } else {
+                pattern += '[^/]*';
+            }
+        } else if (char === '?') {
+            pattern += '[^/]';
+        } else if (char === '{') {
+            pattern += '(?:';
+            braceDepth++;
+        } else if (char === '}' && braceDepth > 0) {
+            pattern += ')';
+            braceDepth--;
+        } else if (char === ',' && braceDepth > 0) {
+            pattern += '|';
+        } else {
+            pattern += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+
+    return new RegExp(`^${pattern}$`);
+}
+
+/**
+ * Test a relative path ("day-1/IMG_0001.jpg") against a glob
+ */
+function matchesGlob(relativePath, glob) {
+    const target = glob.includes('/') ? relativePath : path.posix.basename(relativePath);
+    return globToRegExp(glob).test(target);
+}
+
+// ============================================================================
+// Binary Helpers
+// ============================================================================
+
+/**
+ * Read part of an open file (shorter at the end of the file)
+ */
+function readFileRange(fd, position, length) {
+    const buffer = Buffer.alloc(length);
+    return buffer.subarray(0, fs.readSync(fd, buffer, 0, length, position));
+}
+
+/**
+ * Read TIFF-structured EXIF data (shared by JPEG APP1, PNG eXIf and WebP EXIF)
+ * @param {Buffer} buffer - File contents
+ * @param {number} start - Offset of the TIFF header ("II" or "MM")
+ * @returns {Object} {takenAt, location, orientation} (fields missing when absent)
+ */
+function readExif(buffer, start) {
+    const result = {};
+    const byteOrder = buffer.toString('latin1', start, start + 2);
+    if ((byteOrder !== 'II' && byteOrder !== 'MM') || start + 8 > buffer.length) return result;
+
+    const little = byteOrder === 'II';
+    const u16 = (offset) => (little ? buffer.readUInt16LE(offset) : buffer.readUInt16BE(offset));
+    const u32 = (offset) => (little ? buffer.readUInt32LE(offset) : buffer.readUInt32BE(offset));
+    const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+
+    // Map of tag -> value for one IFD
+    const readIfd = (ifdOffset) => {
+        const tags = new Map();
+        const base = start + ifdOffset;
+        if (ifdOffset === 0 || base + 2 > buffer.length) return tags;
+
+        const count = u16(base);
+        for (let i = 0; i < count; i++) {
+            const entry = base + 2 + i * 12;
+            if (entry + 12 > buffer.length) break;
+
+            const tag = u16(entry);
+            const type = u16(entry + 2);
+            const valueCount = u32(entry + 4);
+            const size = (TYPE_SIZES[type] || 0) * valueCount;
+            const dataOffset = size <= 4 ? entry + 8 : start + u32(entry + 8);
+            if (size === 0 || dataOffset + size > buffer.length) continue;
+
+            if (type === 2) {
+                tags.set(tag, buffer.toString('latin1', dataOffset, dataOffset + size).replace(/\0+$/, ''));
+            } else if (type === 3) {
+                tags.set(tag, Array.from({ length: valueCount }, (_, n) => u16(dataOffset + n * 2)));
+            } else if (type === 4) {
+                tags.set(tag, Array.from({ length: valueCount }, (_, n) => u32(dataOffset + n * 4)));
+            } else if (type === 5) {
+                tags.set(tag, Array.from({ length: valueCount }, (_, n) => {
+                    const denominator = u32(dataOffset + n * 8 + 4);
+                    return denominator ? u32(dataOffset + n * 8) / denominator : 0;
+                }));
+            }
+        }
+        return tags;
+    };
+
+    const ifd0 = readIfd(u32(start + 4));
+    const exifIfd = ifd0.has(0x8769) ? readIfd(ifd0.get(0x8769)[0]) : new Map();
+    const gpsIfd = ifd0.has(0x8825) ? readIfd(ifd0.get(0x8825)[0]) : new Map();
+
+    if (ifd0.has(0x0112)) {
+        result.orientation = ifd0.get(0x0112)[0];
+    }
+
+    // DateTimeOriginal "YYYY:MM:DD HH:MM:SS", with OffsetTimeOriginal when the camera wrote one
+    const dateTime = exifIfd.get(0x9003) || exifIfd.get(0x9004) || ifd0.get(0x0132);
+    const dateMatch = typeof dateTime === 'string' && dateTime.match(/^(\d{4}):(\d{2}):(\d{2})[ T](\d{2}):(\d{2}):(\d{2})/);
+    if (dateMatch && dateMatch[1] !== '0000') {
+        const [, year, month, day, hour, minute, second] = dateMatch;
+        const offset = exifIfd.get(0x9011);
+        const zone = typeof offset === 'string' && /^[+-]\d{2}:\d{2}$/.test(offset) ? offset : '';
+        // Without an offset the time stays "local wall clock", which is how the browser reads it
+        result.takenAt = `${year}-${month}-${day}T${hour}:${minute}:${second}${zone}`;
+    }
+
+    const toDegrees = (parts) => parts[0] + (parts[1] || 0) / 60 + (parts[2] || 0) / 3600;
+    const latitude = gpsIfd.get(2);
+    const longitude = gpsIfd.get(4);
+    if (latitude && longitude) {
+        const lat = toDegrees(latitude) * (gpsIfd.get(1) === 'S' ? -1 : 1);
+        const lng = toDegrees(longitude) * (gpsIfd.get(3) === 'W' ? -1 : 1);
+        if (Math.abs(lat) <= 90 && Math.abs(lng) <= 180 && (lat !== 0 || lng !== 0)) {
+            result.location = { lat: Number(lat.toFixed(6)), lng: Number(lng.toFixed(6)) };
+        }
+    }
+
+    return result;
+}
+
+// ============================================================================
+// Format Readers
+// ============================================================================
+
+/**
+ * JPEG: size from the SOF segment, metadata from the APP1 Exif segment
+ */
+function readJpegInfo(buffer) {
+    if (buffer.length < 2 || buffer.readUInt16BE(0) !== 0xFFD8) throw new Error('Not a JPEG file');
+
+    let info = {};
+    let offset = 2;
+    while (offset + 4 <= buffer.length) {
+        if (buffer[offset] !== 0xFF) break;
+        const marker = buffer[offset + 1];
+
+        if (marker === 0xFF) {
+            offset++; // Fill byte
+            continue;
+        }
+        if (marker === 0xD9 || marker === 0xDA) break; // End of image / start of scan
+
+        const length = buffer.readUInt16BE(offset + 2);
+        const data = offset + 4;
+
+        if (marker === 0xE1 && buffer.toString('latin1', data, data + 6) === 'Exif\0\0') {
+            info = { ...readExif(buffer, data + 6), ...info };
+        }
+
+        // SOF0-SOF15, except DHT (C4), JPG (C8) and DAC (CC)
+        const isStartOfFrame = marker >= 0xC0 && marker <= 0xCF && ![0xC4, 0xC8, 0xCC].includes(marker);
+        if (isStartOfFrame && data + 5 <= buffer.length) {
+            info.height = buffer.readUInt16BE(data + 1);
+            info.width = buffer.readUInt16BE(data + 3);
+        }
+
+        offset += 2 + length;
+    }
+
+    // Orientations 5-8 are rotated by 90 degrees: the displayed image is portrait/landscape swapped
+    if (info.orientation >= 5 && info.orientation <= 8) {
+        [info.width, info.height] = [info.height, info.width];
+    }
+
+    return info;
+}
+
+/**
+ * PNG: size from IHDR, metadata from an optional eXIf chunk
+ */
+function readPngInfo(buffer) {
+    if (buffer.toString('latin1', 1, 4) !== 'PNG') throw new Error('Not a PNG file');
+
+    // IHDR is always the first chunk (missing when the file is cut short)
+    let info = {};
+    if (buffer.length >= 24 && buffer.toString('latin1', 12, 16) === 'IHDR') {
+        info = { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+    }
+
+    let offset = 8;
+    while (offset + 8 <= buffer.length) {
+        const length = buffer.readUInt32BE(offset);
+        const type = buffer.toString('latin1', offset + 4, offset + 8);
+        if (type === 'eXIf') {
+            info = { ...readExif(buffer, offset + 8), ...info };
+        }
+        if (type === 'IDAT' || type === 'IEND') break; // Metadata comes before image data
+        offset += 12 + length;
+    }
+
+    return info;
+}
+
+/**
+ * WebP: size from the VP8 / VP8L / VP8X chunk, metadata from an EXIF chunk
+ */
+function readWebpInfo(buffer) {
+    if (buffer.toString('latin1', 0, 4) !== 'RIFF' || buffer.toString('latin1', 8, 12) !== 'WEBP') {
+        throw new Error('Not a WebP file');
+    }
+
+    let info = {};
+    let offset = 12;
+    while (offset + 8 <= buffer.length) {
+        const type = buffer.toString('latin1', offset, offset + 4);
+        const size = buffer.readUInt32LE(offset + 4);
+        const data = offset + 8;
+        const available = buffer.length - data; // Image chunks may be cut short; only their headers are read
+
+        if (type === 'VP8X' && available >= 10) {
+            info.width = 1 + buffer.readUIntLE(data + 4, 3);
+            info.height = 1 + buffer.readUIntLE(data + 7, 3);
+        } else if (type === 'VP8 ' && info.width === undefined && available >= 10 && buffer.readUIntBE(data + 3, 3) === 0x9D012A) {
+            // Key frame start code, then 14-bit width and height
+            info.width = buffer.readUInt16LE(data + 6) & 0x3FFF;
+            info.height = buffer.readUInt16LE(data + 8) & 0x3FFF;
+        } else if (type === 'VP8L' && info.width === undefined && available >= 5 && buffer[data] === 0x2F) {
+            const bits = buffer.readUInt32LE(data + 1);
+            info.width = (bits & 0x3FFF) + 1;
+            info.height = ((bits >> 14) & 0x3FFF) + 1;
+        } else if (type === 'EXIF') {
+            // Some encoders keep the JPEG-style "Exif\0\0" prefix
+            const tiffStart = buffer.toString('latin1', data, data + 6) === 'Exif\0\0' ? data + 6 : data;
+            info = { ...info, ...readExif(buffer, tiffStart), width: info.width, height: info.height };
+        }
+
+        offset = data + size + (size % 2); // Chunks are padded to an even size
+    }
+
+    return info;
+}
+
+/**
+ * MP4: creation time from mvhd, size from the first visual track's tkhd and
+ * location from udta/©xyz. Only the moov box is read, so large videos are cheap.
+ */
+function readMp4Info(filePath) {
+    const fd = fs.openSync(filePath, 'r');
+    try {
+        const fileSize = fs.fstatSync(fd).size;
+        const header = Buffer.alloc(16);
+        let offset = 0;
+        let moov = null;
+
+        while (offset + 8 <= fileSize) {
+            header.fill(0, fs.readSync(fd, header, 0, 16, offset)); // Short read at the end of the file
+            let size = header.readUInt32BE(0);
+            const type = header.toString('latin1', 4, 8);
+            let headerSize = 8;
+            if (size === 1) {
+                size = Number(header.readBigUInt64BE(8));
+                headerSize = 16;
+            } else if (size === 0) {
+                size = fileSize - offset;
+            }
+            if (size < headerSize) throw new Error('Corrupt MP4 box');
+            if (offset + size > fileSize) throw new Error(`Truncated MP4 file (${type} box runs past the end)`);
+
+            if (type === 'moov') {
+                moov = Buffer.alloc(size - headerSize);
+                fs.readSync(fd, moov, 0, moov.length, offset + headerSize);
+                break;
+            }
+            offset += size;
+        }
+
+        if (!moov) throw new Error('No moov box (not an MP4 file?)');
+        return readMoovInfo(moov);
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+/**
+ * List the child boxes in buffer[start, end)
+ */
+function readBoxes(buffer, start, end) {
+    const boxes = [];
+    let offset = start;
+    while (offset + 8 <= end) {
+        let size = buffer.readUInt32BE(offset);
+        let headerSize = 8;
+        if (size === 1) {
+            if (offset + 16 > end) break;
+            size = Number(buffer.readBigUInt64BE(offset + 8));
+            headerSize = 16;
+        } else if (size === 0) {
+            size = end - offset;
+        }
+        if (size < headerSize || offset + size > end) break;
+
+        boxes.push({
+            type: buffer.toString('latin1', offset + 4, offset + 8),
+            start: offset + headerSize,
+            end: offset + size
+        });
+        offset += size;
+    }
+    return boxes;
+}
+
+function readMoovInfo(moov) {
+    const info = {};
+
+    readBoxes(moov, 0, moov.length).forEach(box => {
+        if (box.type === 'mvhd') {
+            const version = moov[box.start];
+            if (box.end - box.start < (version === 1 ? 12 : 8)) return;
+            const created = version === 1
+                ? Number(moov.readBigUInt64BE(box.start + 4))
+                : moov.readUInt32BE(box.start + 4);
+            // Many cameras leave this at zero
+            if (created > MP4_EPOCH_OFFSET) {
+                info.takenAt = new Date((created - MP4_EPOCH_OFFSET) * 1000).toISOString();
+            }
+        } else if (box.type === 'trak' && info.width === undefined) {
+            const tkhd = readBoxes(moov, box.start, box.end).find(child => child.type === 'tkhd');
+            if (!tkhd) return;
+
+            const version = moov[tkhd.start];
+            const matrixOffset = tkhd.start + (version === 1 ? 52 : 40);
+            if (matrixOffset + 44 > tkhd.end) return;
+            const width = moov.readUInt32BE(matrixOffset + 36) / 65536;
+            const height = moov.readUInt32BE(matrixOffset + 40) / 65536;
+            if (width > 0 && height > 0) {
+                // A zero "a" entry in the display matrix means the track is rotated by 90 degrees
+                const rotated = moov.readInt32BE(matrixOffset) === 0;
+                info.width = Math.round(rotated ? height : width);
+                info.height = Math.round(rotated ? width : height);
+            }
+        } else if (box.type === 'udta') {
+            const xyz = readBoxes(moov, box.start, box.end).find(child => child.type === '©xyz');
+            if (!xyz) return;
+
+            // ISO 6709 string, e.g. "+25.2702+091.7323+012.000/"
+            const text = moov.toString('latin1', xyz.start + 4, xyz.end);
+            const match = text.match(/([+-]\d+(?:\.\d+)?)([+-]\d+(?:\.\d+)?)/);
+            if (match) {
+                info.location = { lat: Number(match[1]), lng: Number(match[2]) };
+            }
+        }
+    });
+
+    return info;
+}
+
+/**
+ * WebP keeps EXIF after the image data, so rather than a prefix its chunks are
+ * walked: image chunks are copied cut down to their headers (sizes adjusted),
+ * metadata chunks whole
+ * @returns {Buffer} Compact WebP for readWebpInfo()
+ */
+function readWebpChunks(fd, fileSize) {
+    const parts = [readFileRange(fd, 0, 12)];
+    let offset = 12;
+    while (offset + 8 <= fileSize) {
+        const header = readFileRange(fd, offset, 8);
+        const size = header.readUInt32LE(4);
+        const keep = header.toString('latin1', 0, 4) === 'EXIF' ? Math.min(size, HEADER_READ_LIMIT) : Math.min(size, 16);
+        const data = readFileRange(fd, offset + 8, keep);
+
+        header.writeUInt32LE(data.length, 4);
+        parts.push(header, data, Buffer.alloc(data.length % 2));
+        offset += 8 + size + (size % 2);
+    }
+    return Buffer.concat(parts);
+}
+
+/**
+ * Read a photo's header: the first HEADER_READ_BYTES, more while the size
+ * hasn't been found (WebP: its chunks)
+ */
+function readPhotoInfo(filePath, format) {
+    const readers = { jpeg: readJpegInfo, png: readPngInfo, webp: readWebpInfo };
+    const fd = fs.openSync(filePath, 'r');
+    try {
+        const fileSize = fs.fstatSync(fd).size;
+        if (format === 'webp') return readWebpInfo(readWebpChunks(fd, fileSize));
+
+        const limit = Math.min(fileSize, HEADER_READ_LIMIT);
+        let length = Math.min(fileSize, HEADER_READ_BYTES);
+        let info = readers[format](readFileRange(fd, 0, length));
+        while (!(info.width > 0 && info.height > 0) && length < limit) {
+            length = Math.min(length * 4, limit);
+            info = readers[format](readFileRange(fd, 0, length));
+        }
+        return info;
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+/**
+ * Read dimensions, capture time and location of a media file (headers only,
+ * so large files are cheap)
+ * @param {string} filePath - Path on disk
+ * @returns {Object} {type, width, height, takenAt, location} (metadata fields may be missing)
+ */
+function readMediaInfo(filePath) {
+    const format = MEDIA_EXTENSIONS[path.extname(filePath).toLowerCase()];
+    if (format === 'mp4') {
+        return { type: 'video', ...readMp4Info(filePath) };
+    }
+
+    const { width, height, takenAt, location } = readPhotoInfo(filePath, format);
+    if (!(width > 0 && height > 0)) {
+        throw new Error('No image size found (truncated or corrupt file?)');
+    }
+    return { type: 'photo', width, height, takenAt, location };
+}
+
+// ============================================================================
+// Import
+// ============================================================================
+
+/**
+ * Find media files under a folder
+ * @param {string} folder - Root folder
+ * @param {Object} options - {recursive, include, exclude}
+ * @returns {Array<Object>} {path, relativePath, mtime}
+ */
+function findMediaFiles(folder, options) {
+    const files = [];
+    const isExcluded = (relativePath) => options.exclude.some(glob => matchesGlob(relativePath, glob));
+
+    const walk = (directory, prefix) => {
+        const entries = fs.readdirSync(directory, { withFileTypes: true })
+            .filter(entry => !entry.name.startsWith('.'))
+            .sort((a, b) => a.name.localeCompare(b.name));
+
+        entries.forEach(entry => {
+            const relativePath = prefix ? `${prefix}/${entry.name}` : entry.name;
+            const fullPath = path.join(directory, entry.name);
+            if (isExcluded(relativePath)) return;
+
+            if (entry.isDirectory()) {
+                if (options.recursive) walk(fullPath, relativePath);
+                return;
+            }
+            if (!entry.isFile() || !MEDIA_EXTENSIONS[path.extname(entry.name).toLowerCase()]) return;
+            if (options.include.length > 0 && !options.include.some(glob => matchesGlob(relativePath, glob))) return;
+
+            files.push({ path: fullPath, relativePath, mtime: fs.statSync(fullPath).mtime });
+        });
+    };
+
+    walk(folder, '');
+    return files;
+}
+
+/**
+ * URL path of a file relative to the manifest, so the site can serve it as-is
+ */
+function getRelativeSrc(filePath, manifestPath) {
+    const relative = path.relative(path.dirname(path.resolve(manifestPath)), path.resolve(filePath));
+    return relative.split(path.sep).map(encodeURIComponent).join('/');
+}
+
+/**
+ * Build a version 2 manifest for a folder
+ * @param {Object} options - Output of parseArgs()
+ * @returns {Object} {manifest, skipped: [{relativePath, reason}], issues}
+ */
+function buildManifest(options) {
+    const files = findMediaFiles(options.folder, options);
+    const skipped = [];
+    const entries = [];
+
+    files.forEach(file => {
+        let info;
+        try {
+            info = readMediaInfo(file.path);
+        } catch (error) {
+            skipped.push({ relativePath: file.relativePath, reason: error.message });
+            return;
+        }
+
+        const item = { type: info.type, src: getRelativeSrc(file.path, options.out) };
+        if (info.takenAt) item.takenAt = info.takenAt;
+        if (info.width > 0 && info.height > 0) {
+            item.width = info.width;
+            item.height = info.height;
+        }
+        if (info.location) item.location = info.location;
+
+        entries.push({ item, file });
+    });
+
+    const compareNames = (a, b) => a.file.relativePath.localeCompare(b.file.relativePath, undefined, { numeric: true });
+    const compareBy = {
+        name: compareNames,
+        mtime: (a, b) => a.file.mtime - b.file.mtime || compareNames(a, b),
+        // Undated files go last, in name order
+        date: (a, b) => {
+            const timeA = a.item.takenAt ? new Date(a.item.takenAt).getTime() : Infinity;
+            const timeB = b.item.takenAt ? new Date(b.item.takenAt).getTime() : Infinity;
+            return (timeA === timeB ? 0 : timeA < timeB ? -1 : 1) || compareNames(a, b);
+        }
+    };
+    entries.sort(compareBy[options.sort]);
+    if (options.reverse) entries.reverse();
+
+    const manifest = {
+        version: MANIFEST_VERSION,
+        albums: [],
+        items: entries.map(({ item }, index) => ({ id: index + 1, ...item }))
+    };
+
+    // Same checks the site runs when loading the file
+    const { issues } = parseManifest(manifest);
+
+    return { manifest, skipped, issues };
+}
+
+function main(argv = process.argv.slice(2)) {
+    let options;
+    try {
+        options = parseArgs(argv);
+    } catch (error) {
+        console.error(`❌ ${error.message}\n`);
+        printHelp();
+        process.exitCode = 1;
+        return;
+    }
+
+    if (options.help) {
+        printHelp();
+        return;
+    }
+
+    if (!fs.existsSync(options.folder) || !fs.statSync(options.folder).isDirectory()) {
+        console.error(`❌ ${options.folder} is not a folder`);
+        process.exitCode = 1;
+        return;
+    }
+
+    console.log(`Importing media from ${options.folder}${options.recursive ? ' (recursive)' : ''}...`);
+    const { manifest, skipped, issues } = buildManifest(options);
+
+    skipped.forEach(({ relativePath, reason }) => console.warn(`  ⚠️ Skipped ${relativePath}: ${reason}`));
+    issues.forEach(issue => console.warn(`  ⚠️ Item ${issue.id}: ${issue.message}`));
+
+    const outside = manifest.items.filter(item => item.src.startsWith('..'));
+    if (outside.length > 0) {
+        console.warn(`  ⚠️ ${outside.length} files are outside the folder of ${options.out} and may not be served by the site`);
+    }
+
+    const photos = manifest.items.filter(item => item.type === 'photo').length;
+    const dated = manifest.items.filter(item => item.takenAt).length;
+    const located = manifest.items.filter(item => item.location).length;
+    console.log('\nSummary:');
+    console.log(`  Photos:   ${photos}`);
+    console.log(`  Videos:   ${manifest.items.length - photos}`);
+    console.log(`  Dated:    ${dated}`);
+    console.log(`  With GPS: ${located}`);
+    console.log(`  Skipped:  ${skipped.length}`);
+
+    if (manifest.items.length === 0) {
+        console.log('\n❌ No JPEG, PNG, WebP or MP4 files found.');
+        process.exitCode = 1;
+        return;
+    }
+
+    if (options.dryRun) {
+        manifest.items.forEach(item => console.log(`  ${item.id}\t${item.type}\t${item.takenAt || '-'}\t${item.src}`));
+        console.log(`\n🔎 Dry run: ${manifest.items.length} items would be written to ${options.out}`);
+        return;
+    }
+
+    fs.writeFileSync(options.out, `${JSON.stringify(manifest, null, 2)}\n`);
+    console.log(`\n✅ Saved ${manifest.items.length} items to ${options.out}`);
+}
+
+// Run if executed directly
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    parseArgs,
+    globToRegExp,
+    matchesGlob,
+    readExif,
+    readJpegInfo,
+    readPngInfo,
+    readWebpInfo,
+    readMp4Info,
+    readMediaInfo,
+    findMediaFiles,
+    buildManifest,
+    main
+};
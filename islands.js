@@ -0,0 +1,315 @@
+// MEGHTOSH Album Islands
+// When the loaded items come from more than one album, each album is laid out
+// as its own island with empty space around it. Islands get a floating label
+// that keeps its screen size at any zoom, and an album menu flies to an island
+// or hides/shows it. Items are grouped by their manifest "album" id, so a
+// manifest without album ids shows a single canvas (see manifest.js).
+// Note: islands are positioned by applyLayout() (layout.js); LOADED_ITEMS is in data.js
+
+const ISLAND_GAP_TILES = 3; // Empty tiles between neighbouring islands
+const ISLAND_LABEL_MARGIN = 8; // Screen px kept between a label and the viewport edge
+const ISLAND_LABEL_HEIGHT = 32; // Screen px reserved above an island for its label
+const UNSORTED_ALBUM_ID = ''; // Island of items without an album
+
+const islandState = {
+    hiddenAlbums: new Set(), // Album ids (UNSORTED_ALBUM_ID for items without one)
+    labels: new Map(), // Map<albumId, HTMLElement>
+    labelLayer: null,
+    menu: null
+};
+
+function getItemAlbumId(item) {
+    return item.album || UNSORTED_ALBUM_ID;
+}
+
+function getAlbumLabel(albumId) {
+    if (albumId === UNSORTED_ALBUM_ID) return 'Other photos';
+    const album = MANIFEST_ALBUMS.find(entry => entry.id === albumId);
+    return (album && album.title) || albumId;
+}
+
+/**
+ * Group items by album: manifest albums in manifest order, then albums the
+ * manifest doesn't list, then items without an album
+ * @returns {Array} [{id, items}] without empty groups
+ */
+function groupItemsByAlbum(items) {
+    const groups = new Map(MANIFEST_ALBUMS.map(album => [album.id, []]));
+    items.forEach(item => {
+        const albumId = getItemAlbumId(item);
+        if (!groups.has(albumId)) groups.set(albumId, []);
+        groups.get(albumId).push(item);
+    });
+
+    const unsorted = groups.get(UNSORTED_ALBUM_ID);
+    groups.delete(UNSORTED_ALBUM_ID);
+    if (unsorted) groups.set(UNSORTED_ALBUM_ID, unsorted);
+
+    return Array.from(groups, ([id, groupItems]) => ({ id, items: groupItems }))
+        .filter(group => group.items.length > 0);
+}
+
+/**
+ * Islands are used as soon as the loaded items span more than one album
+ * (hiding albums doesn't turn them off, so the layout doesn't jump around)
+ */
+function usesAlbumIslands() {
+    return usingRealData && groupItemsByAlbum(LOADED_ITEMS).length > 1;
+}
+
+function isAlbumHidden(albumId) {
+    return islandState.hiddenAlbums.has(albumId || UNSORTED_ALBUM_ID);
+}
+
+/**
+ * Lay out each album with the active layout and pack the results as islands:
+ * left to right, wrapping at the grid width, ISLAND_GAP_TILES apart
+ * @param {Array} items - Items to position
+ * @param {Function} layout - Layout function from LAYOUTS
+ * @param {Object} options - {columns, itemSize}
+ * @returns {Object} {width, height, sections, islands}
+ */
+function layoutAlbumIslands(items, layout, options) {
+    const { columns, itemSize } = options;
+    const gap = ISLAND_GAP_TILES * itemSize;
+    const rowWidth = columns * itemSize;
+    const sections = [];
+    const islands = [];
+    let x = 0;
+    let y = 0;
+    let shelfHeight = 0;
+    let width = 0;
+
+    groupItemsByAlbum(items).forEach(group => {
+        // Roughly 3:2 islands, like timeline day clusters
+        const islandColumns = Math.min(columns, Math.max(2, Math.ceil(Math.sqrt(group.items.length * 1.5))));
+        const result = layout(group.items, { ...options, columns: islandColumns });
+        const groupSections = result.sections || [];
+
+        // Measure what was placed; layouts may report their full grid width
+        let islandWidth = 0;
+        let islandHeight = 0;
+        group.items.forEach(item => {
+            islandWidth = Math.max(islandWidth, item.x + item.w);
+            islandHeight = Math.max(islandHeight, item.y + item.h);
+        });
+        groupSections.forEach(section => {
+            islandWidth = Math.max(islandWidth, section.bounds.right);
+            islandHeight = Math.max(islandHeight, section.bounds.bottom);
+        });
+
+        if (x > 0 && x + islandWidth > rowWidth) {
+            x = 0;
+            y += shelfHeight + gap;
+            shelfHeight = 0;
+        }
+
+        group.items.forEach(item => {
+            item.x += x;
+            item.y += y;
+        });
+        groupSections.forEach(section => {
+            sections.push({
+                ...section,
+                id: `${group.id}/${section.id}`,
+                x: section.x + x,
+                y: section.y + y,
+                bounds: {
+                    left: section.bounds.left + x,
+                    top: section.bounds.top + y,
+                    right: section.bounds.right + x,
+                    bottom: section.bounds.bottom + y
+                }
+            });
+        });
+        islands.push({
+            id: group.id,
+            label: getAlbumLabel(group.id),
+            bounds: { left: x, top: y, right: x + islandWidth, bottom: y + islandHeight },
+            itemCount: group.items.length
+        });
+
+        width = Math.max(width, x + islandWidth);
+        x += islandWidth + gap;
+        shelfHeight = Math.max(shelfHeight, islandHeight);
+    });
+
+    return { width, height: y + shelfHeight, sections, islands };
+}
+
+// ============================================================================
+// Floating Labels
+// ============================================================================
+
+function getIslandLabelLayer() {
+    if (islandState.labelLayer) return islandState.labelLayer;
+
+    const layer = document.createElement('div');
+    layer.className = 'island-labels';
+    layer.setAttribute('aria-hidden', 'true'); // The album menu carries the same names
+    viewport.appendChild(layer);
+
+    islandState.labelLayer = layer;
+    return layer;
+}
+
+/**
+ * Place one label per island just above its top-left corner, in screen space
+ * so it stays readable at any zoom. Labels slide along with the camera while
+ * their island is on screen (called from render()).
+ */
+function updateIslandLabels() {
+    const layer = getIslandLabelLayer();
+    const islands = usingRealData ? LAYOUT_ISLANDS : [];
+    layer.hidden = islands.length === 0;
+
+    const shownIds = new Set();
+    islands.forEach(island => {
+        const rect = getNearestRepeatRect(island.bounds);
+        const left = rect.left * state.zoom + state.panX;
+        const top = rect.top * state.zoom + state.panY;
+        const right = rect.right * state.zoom + state.panX;
+        const bottom = rect.bottom * state.zoom + state.panY;
+        if (right < 0 || left > state.viewportWidth || bottom < 0 || top - ISLAND_LABEL_HEIGHT > state.viewportHeight) return;
+
+        let label = islandState.labels.get(island.id);
+        if (!label) {
+            label = document.createElement('div');
+            label.className = 'island-label';
+            layer.appendChild(label);
+            islandState.labels.set(island.id, label);
+        }
+        label.textContent = `${island.label} · ${island.itemCount}`;
+
+        // Anchored by its bottom-left corner (see .island-label)
+        const x = Math.max(left, ISLAND_LABEL_MARGIN);
+        const y = Math.min(Math.max(top, ISLAND_LABEL_HEIGHT + ISLAND_LABEL_MARGIN), Math.max(top, bottom));
+        label.style.transform = `translate(${x}px, ${y}px) translateY(-100%)`;
+        shownIds.add(island.id);
+    });
+
+    islandState.labels.forEach((label, albumId) => {
+        if (shownIds.has(albumId)) return;
+        label.remove();
+        islandState.labels.delete(albumId);
+    });
+}
+
+// ============================================================================
+// Album Menu
+// ============================================================================
+
+function getAlbumMenuElements() {
+    if (islandState.menu) return islandState.menu;
+
+    const nav = document.createElement('nav');
+    nav.className = 'album-nav';
+    nav.hidden = true;
+    nav.setAttribute('aria-label', 'Albums');
+
+    const title = document.createElement('div');
+    title.className = 'album-nav-title';
+    title.textContent = 'Albums';
+
+    const list = document.createElement('ol');
+    list.className = 'album-nav-list';
+
+    nav.append(title, list);
+    document.body.appendChild(nav);
+
+    islandState.menu = { nav, list };
+    return islandState.menu;
+}
+
+/**
+ * Rebuild the album menu: one entry per album with a jump button and a
+ * show/hide checkbox (hidden unless there are islands)
+ */
+function updateAlbumMenu() {
+    const { nav, list } = getAlbumMenuElements();
+    const groups = usesAlbumIslands() ? groupItemsByAlbum(LOADED_ITEMS) : [];
+    const shownCount = groups.filter(group => !isAlbumHidden(group.id)).length;
+
+    nav.hidden = groups.length === 0;
+    list.replaceChildren();
+
+    groups.forEach(group => {
+        const label = getAlbumLabel(group.id);
+        const hidden = isAlbumHidden(group.id);
+
+        const toggle = document.createElement('input');
+        toggle.type = 'checkbox';
+        toggle.className = 'album-nav-toggle';
+        toggle.checked = !hidden;
+        toggle.disabled = !hidden && shownCount === 1; // Keep at least one album on the canvas
+        toggle.setAttribute('aria-label', `Show ${label}`);
+        toggle.addEventListener('change', () => setAlbumHidden(group.id, !toggle.checked));
+
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'album-nav-button';
+        button.disabled = hidden;
+
+        const name = document.createElement('span');
+        name.textContent = label;
+        const count = document.createElement('span');
+        count.className = 'album-nav-count';
+        count.textContent = group.items.length;
+
+        button.append(name, count);
+        button.addEventListener('click', () => flyToIsland(group.id));
+
+        const entry = document.createElement('li');
+        entry.append(toggle, button);
+        list.appendChild(entry);
+    });
+}
+
+/**
+ * Fit an album's island into the viewport
+ */
+function flyToIsland(albumId) {
+    const island = LAYOUT_ISLANDS.find(entry => entry.id === albumId);
+    if (island) fitCameraToRect(getNearestRepeatRect(island.bounds));
+}
+
+/**
+ * Hide or show an album's island; the remaining islands are packed again
+ * and the camera stays on the item in the middle of the screen (or flies to
+ * an album that was just shown)
+ */
+function setAlbumHidden(albumId, hidden) {
+    if (hidden === isAlbumHidden(albumId)) return;
+    if (hidden) {
+        islandState.hiddenAlbums.add(albumId);
+    } else {
+        islandState.hiddenAlbums.delete(albumId);
+    }
+    if (!usingRealData) return;
+
+    const anchor = findItemNearestViewportCenter();
+    showLoadedItems();
+    initializeCanvas();
+    updateTimelineMenu();
+    updateAlbumMenu();
+    updateFilterCount();
+
+    const target = anchor && (findItemById(anchor.id) || ITEM_INDEX.get(anchor.baseId ?? anchor.id));
+    if (!hidden) {
+        render(); // Place the islands before flying
+        flyToIsland(albumId);
+    } else if (target) {
+        centerOnItem(target);
+    } else {
+        loadFromCenter();
+    }
+}
+
+/**
+ * Show every album again (new data replaces the old albums)
+ */
+function showAllAlbums() {
+    islandState.hiddenAlbums.clear();
+}
+
+onViewerEvent('itemsloaded', updateAlbumMenu);
@@ -0,0 +1,226 @@
+// MEGHTOSH Keyboard Navigation
+// Arrow/WASD panning, +/-/0 zoom, and a focus ring that moves between tiles
+// Note: relies on state and helpers from app.js and findNeighbourItem from lightbox.js
+
+// Constants
+const KEY_PAN_STEP = 100; // Screen px per key press
+const KEY_PAN_FAST_MULTIPLIER = 4; // Shift + pan key
+const KEY_ZOOM_FACTOR = 1.2;
+const FOCUS_SCROLL_MARGIN = 40; // Keep this much screen space around the focused tile
+
+const PAN_KEYS = {
+    ArrowLeft: [1, 0], a: [1, 0],
+    ArrowRight: [-1, 0], d: [-1, 0],
+    ArrowUp: [0, 1], w: [0, 1],
+    ArrowDown: [0, -1], s: [0, -1]
+};
+
+const FOCUS_KEYS = {
+    ArrowLeft: 'left',
+    ArrowRight: 'right',
+    ArrowUp: 'up',
+    ArrowDown: 'down'
+};
+
+// ============================================================================
+// Camera
+// ============================================================================
+
+function panByKeyboard(dx, dy, fast) {
+    cancelCameraAnimation();
+    const step = KEY_PAN_STEP * (fast ? KEY_PAN_FAST_MULTIPLIER : 1);
+    state.panX += dx * step;
+    state.panY += dy * step;
+
+    updateTransform();
+    scheduleRender();
+}
+
+/**
+ * Zoom around the viewport centre
+ */
+function zoomByKeyboard(newZoom) {
+    cancelCameraAnimation();
+    zoomAtPoint(state.viewportWidth / 2, state.viewportHeight / 2, newZoom);
+
+    updateTransform();
+    scheduleRender();
+}
+
+/**
+ * Pan just enough to bring an item fully on screen
+ */
+function scrollItemIntoView(item) {
+    const rect = ITEM_INDEX.getItemRect(item);
+    const margin = FOCUS_SCROLL_MARGIN;
+
+    const screenLeft = rect.left * state.zoom + state.panX;
+    const screenRight = rect.right * state.zoom + state.panX;
+    const screenTop = rect.top * state.zoom + state.panY;
+    const screenBottom = rect.bottom * state.zoom + state.panY;
+
+    if (screenLeft < margin) {
+        state.panX += margin - screenLeft;
+    } else if (screenRight > state.viewportWidth - margin) {
+        state.panX -= screenRight - (state.viewportWidth - margin);
+    }
+
+    if (screenTop < margin) {
+        state.panY += margin - screenTop;
+    } else if (screenBottom > state.viewportHeight - margin) {
+        state.panY -= screenBottom - (state.viewportHeight - margin);
+    }
+
+    updateTransform();
+    scheduleRender();
+}
+
+// ============================================================================
+// Focus
+// ============================================================================
+
+function getFocusedItem() {
+    return state.focusedItemId ? ITEM_INDEX.get(state.focusedItemId) : null;
+}
+
+/**
+ * Move keyboard focus to an item (or clear it with null)
+ */
+function setFocusedItem(item) {
+    const previous = renderedItems.get(state.focusedItemId);
+    if (previous) previous.classList.remove('focused');
+
+    state.focusedItemId = item ? item.id.toString() : null;
+    manageVideoPlayback(); // Sound follows focus (playback.js)
+    if (!item) return;
+
+    const element = renderedItems.get(state.focusedItemId);
+    if (element) element.classList.add('focused');
+
+    scrollItemIntoView(item);
+}
+
+/**
+ * Find the item closest to the middle of the screen
+ */
+function findItemNearestViewportCenter() {
+    const center = screenToWorld(state.viewportWidth / 2, state.viewportHeight / 2);
+    const radius = ITEM_SIZE * 2;
+    let nearest = null;
+    let nearestDistance = Infinity;
+
+    ITEM_INDEX.query({
+        left: center.x - radius,
+        top: center.y - radius,
+        right: center.x + radius,
+        bottom: center.y + radius
+    }).forEach(item => {
+        const rect = ITEM_INDEX.getItemRect(item);
+        const distance = Math.hypot(
+            (rect.left + rect.right) / 2 - center.x,
+            (rect.top + rect.bottom) / 2 - center.y
+        );
+        if (distance < nearestDistance) {
+            nearestDistance = distance;
+            nearest = item;
+        }
+    });
+
+    return nearest;
+}
+
+/**
+ * Next/previous item in reading order: along the row, then wrapping to the next row
+ * @param {Object} item - Current item
+ * @param {number} step - 1 for forward (Tab), -1 for backward (Shift+Tab)
+ */
+function findItemInReadingOrder(item, step) {
+    const sideways = findNeighbourItem(item, step > 0 ? 'right' : 'left');
+    const rect = ITEM_INDEX.getItemRect(item);
+
+    // Only accept the sideways neighbour if it sits on the same row
+    if (sideways) {
+        const sidewaysRect = ITEM_INDEX.getItemRect(sideways);
+        if (sidewaysRect.top < rect.bottom && sidewaysRect.bottom > rect.top) {
+            return sideways;
+        }
+    }
+
+    // Wrap to the start (or end) of the next (or previous) row
+    const nextRow = findNeighbourItem(item, step > 0 ? 'down' : 'up');
+    if (!nextRow) return null;
+
+    const rowRect = ITEM_INDEX.getItemRect(nextRow);
+    const bounds = ITEM_INDEX.getBounds();
+    const rowItems = ITEM_INDEX.query({
+        left: bounds.left,
+        right: bounds.right,
+        top: rowRect.top + 1,
+        bottom: rowRect.bottom - 1
+    });
+
+    return rowItems.reduce((edge, candidate) => {
+        if (!edge) return candidate;
+        return step > 0
+            ? (candidate.x < edge.x ? candidate : edge)
+            : (candidate.x > edge.x ? candidate : edge);
+    }, null);
+}
+
+// ============================================================================
+// Input
+// ============================================================================
+
+/**
+ * Only handle keys aimed at the canvas, not at form fields or other controls
+ */
+function isCanvasKeyTarget(target) {
+    return target === document.body || target === viewport || target === document.documentElement;
+}
+
+function handleKeyDown(e) {
+    if (e.defaultPrevented || e.altKey || e.ctrlKey || e.metaKey) return;
+    if (!isCanvasKeyTarget(e.target)) return;
+    if (typeof lightboxState !== 'undefined' && lightboxState.isOpen) return;
+
+    const key = e.key.length === 1 ? e.key.toLowerCase() : e.key;
+    const focusedItem = getFocusedItem();
+
+    if (key === 'Tab') {
+        // First Tab focuses the tile in the middle of the screen
+        const next = focusedItem
+            ? findItemInReadingOrder(focusedItem, e.shiftKey ? -1 : 1)
+            : findItemNearestViewportCenter();
+        if (!next) {
+            // Past the last (or first) tile: let focus leave the canvas
+            if (focusedItem) setFocusedItem(null);
+            return;
+        }
+        setFocusedItem(next);
+    } else if (focusedItem && FOCUS_KEYS[key]) {
+        // Arrows move focus while a tile is focused
+        const next = findNeighbourItem(focusedItem, FOCUS_KEYS[key]);
+        if (next) setFocusedItem(next);
+    } else if (PAN_KEYS[key]) {
+        const [dx, dy] = PAN_KEYS[key];
+        panByKeyboard(dx, dy, e.shiftKey);
+    } else if (key === '+' || key === '=') {
+        zoomByKeyboard(state.zoom * KEY_ZOOM_FACTOR);
+    } else if (key === '-' || key === '_') {
+        zoomByKeyboard(state.zoom / KEY_ZOOM_FACTOR);
+    } else if (key === '0') {
+        zoomByKeyboard(1.0);
+    } else if (key === 'Escape' && focusedItem) {
+        setFocusedItem(null);
+    } else if (key === 'Enter' && focusedItem) {
+        openLightbox(focusedItem);
+    } else if (key === ' ' && focusedItem) {
+        downloadMedia(focusedItem);
+    } else {
+        return;
+    }
+
+    e.preventDefault();
+}
+
+window.addEventListener('keydown', handleKeyDown);
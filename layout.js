@@ -0,0 +1,289 @@
+// MEGHTOSH Layout Engine
+// Pluggable layouts that assign each item a world rectangle (x, y, w, h)
+// Note: GRID_COLUMNS and ITEM_SIZE are defined in data.js
+
+// Keep extreme panoramas/portraits from producing unusable tiles
+const MIN_ASPECT_RATIO = 0.25;
+const MAX_ASPECT_RATIO = 4;
+
+// Timeline layout spacing
+const TIMELINE_HEADER_HEIGHT = 120; // Space above each day cluster for its header
+const TIMELINE_CLUSTER_GAP = 200; // Gap between day clusters
+
+// Labelled regions produced by the last layout (e.g. timeline days):
+// {id, label, sublabel, x, y, w, h, bounds: {left, top, right, bottom}, itemCount}
+let LAYOUT_SECTIONS = [];
+
+// Album islands produced by the last layout (islands.js): {id, label, bounds, itemCount}
+let LAYOUT_ISLANDS = [];
+
+/**
+ * Width / height of an item's media (1 when unknown)
+ */
+function getItemAspectRatio(item) {
+    const ratio = item.width > 0 && item.height > 0 ? item.width / item.height : 1;
+    return Math.max(MIN_ASPECT_RATIO, Math.min(MAX_ASPECT_RATIO, ratio));
+}
+
+/**
+ * Fixed square tiles on a GRID_COLUMNS-wide grid (the original layout)
+ */
+function layoutGrid(items, options) {
+    const { columns, itemSize } = options;
+
+    items.forEach((item, index) => {
+        item.column = index % columns;
+        item.row = Math.floor(index / columns);
+        item.x = item.column * itemSize;
+        item.y = item.row * itemSize;
+        item.w = itemSize;
+        item.h = itemSize;
+    });
+
+    return {
+        width: Math.min(items.length, columns) * itemSize,
+        height: Math.ceil(items.length / columns) * itemSize
+    };
+}
+
+/**
+ * Justified rows: every row is exactly as wide as the grid and items keep
+ * their aspect ratio, so row heights vary around ITEM_SIZE
+ */
+function layoutJustified(items, options) {
+    const { columns, itemSize } = options;
+    const rowWidth = columns * itemSize;
+    let y = 0;
+    let rowIndex = 0;
+    let row = [];
+    let rowAspect = 0;
+
+    const placeRow = (height, flush) => {
+        let x = 0;
+        row.forEach((item, index) => {
+            const width = getItemAspectRatio(item) * height;
+            item.x = x;
+            item.y = y;
+            // Give rounding leftovers to the last tile so full rows end flush
+            item.w = flush && index === row.length - 1 ? rowWidth - x : width;
+            item.h = height;
+            item.column = index;
+            item.row = rowIndex;
+            x += width;
+        });
+        y += height;
+        rowIndex++;
+        row = [];
+        rowAspect = 0;
+    };
+
+    items.forEach(item => {
+        row.push(item);
+        rowAspect += getItemAspectRatio(item);
+
+        // Row is full once it would be wider than the grid at the target height
+        if (rowAspect * itemSize >= rowWidth) {
+            placeRow(rowWidth / rowAspect, true);
+        }
+    });
+
+    // Last, partial row keeps the target height instead of being stretched
+    if (row.length > 0) {
+        placeRow(itemSize, false);
+    }
+
+    return { width: rowWidth, height: y };
+}
+
+/**
+ * Masonry columns: fixed column width, variable height, each item goes into
+ * the currently shortest column
+ */
+function layoutMasonry(items, options) {
+    const { columns, itemSize } = options;
+    const columnHeights = new Array(columns).fill(0);
+
+    items.forEach((item, index) => {
+        let column = 0;
+        for (let i = 1; i < columns; i++) {
+            if (columnHeights[i] < columnHeights[column]) column = i;
+        }
+
+        item.x = column * itemSize;
+        item.y = columnHeights[column];
+        item.w = itemSize;
+        item.h = itemSize / getItemAspectRatio(item);
+        item.column = column;
+        item.row = index;
+        columnHeights[column] += item.h;
+    });
+
+    return {
+        width: Math.min(items.length, columns) * itemSize,
+        height: Math.max(0, ...columnHeights)
+    };
+}
+
+/**
+ * Local calendar day of a timestamp, e.g. "2025-03-14"
+ */
+function getLocalDayKey(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Day a photo was taken on where it was taken: the date written in takenAt
+ * ("2025-03-14T23:10:00-08:00" is March 14 in any viewer's time zone). Other
+ * formats fall back to the viewer's local day.
+ */
+function getCaptureDayKey(takenAt) {
+    const match = typeof takenAt === 'string' && takenAt.match(/^(\d{4})-(\d{2})-(\d{2})/);
+    return match ? `${match[1]}-${match[2]}-${match[3]}` : getLocalDayKey(new Date(takenAt));
+}
+
+/**
+ * Timeline: items sorted by capture time and grouped into one cluster per day,
+ * each with a header section. Clusters flow left to right and wrap at the grid
+ * width; items without a date end up in a final "Undated" cluster.
+ */
+function layoutTimeline(items, options) {
+    const { columns, itemSize } = options;
+    const canvasWidth = columns * itemSize;
+
+    // Group dated items by capture-local day, in capture order (photos from
+    // different time zones can interleave, so days are sorted separately)
+    const dated = items
+        .filter(item => item.takenAt)
+        .map(item => ({ item, time: new Date(item.takenAt) }))
+        .sort((a, b) => a.time - b.time);
+
+    const groupsByKey = new Map();
+    dated.forEach(({ item }) => {
+        const key = getCaptureDayKey(item.takenAt);
+        if (!groupsByKey.has(key)) {
+            const [year, month, day] = key.split('-').map(Number);
+            groupsByKey.set(key, { key, date: new Date(year, month - 1, day), items: [] });
+        }
+        groupsByKey.get(key).items.push(item);
+    });
+    const groups = Array.from(groupsByKey.values()).sort((a, b) => (a.key < b.key ? -1 : 1));
+
+    const undated = items.filter(item => !item.takenAt);
+    if (undated.length > 0) {
+        groups.push({ key: 'undated', date: null, items: undated });
+    }
+
+    const sections = [];
+    let x = 0;
+    let y = 0;
+    let shelfHeight = 0;
+
+    groups.forEach((group, groupIndex) => {
+        // Roughly 3:2 clusters, at least two tiles wide so the header fits
+        const clusterColumns = Math.min(columns, Math.max(2, Math.ceil(Math.sqrt(group.items.length * 1.5))));
+        const clusterRows = Math.ceil(group.items.length / clusterColumns);
+        const clusterWidth = clusterColumns * itemSize;
+        const clusterHeight = TIMELINE_HEADER_HEIGHT + clusterRows * itemSize;
+
+        // Wrap to a new shelf when the cluster would overflow the grid width
+        if (x > 0 && x + clusterWidth > canvasWidth) {
+            x = 0;
+            y += shelfHeight + TIMELINE_CLUSTER_GAP;
+            shelfHeight = 0;
+        }
+
+        group.items.forEach((item, index) => {
+            item.column = index % clusterColumns;
+            item.row = Math.floor(index / clusterColumns);
+            item.x = x + item.column * itemSize;
+            item.y = y + TIMELINE_HEADER_HEIGHT + item.row * itemSize;
+            item.w = itemSize;
+            item.h = itemSize;
+        });
+
+        const label = group.date
+            ? group.date.toLocaleDateString(undefined, { weekday: 'short', day: 'numeric', month: 'short', year: 'numeric' })
+            : 'Undated';
+        sections.push({
+            id: `day-${group.key}`,
+            label: group.date ? `Day ${groupIndex + 1}` : label,
+            sublabel: group.date ? label : `${group.items.length} without a capture date`,
+            x,
+            y,
+            w: clusterWidth,
+            h: TIMELINE_HEADER_HEIGHT,
+            bounds: { left: x, top: y, right: x + clusterWidth, bottom: y + clusterHeight },
+            itemCount: group.items.length
+        });
+
+        x += clusterWidth + TIMELINE_CLUSTER_GAP;
+        shelfHeight = Math.max(shelfHeight, clusterHeight);
+    });
+
+    return { width: canvasWidth, height: y + shelfHeight, sections };
+}
+
+const LAYOUTS = {
+    grid: layoutGrid,
+    justified: layoutJustified,
+    masonry: layoutMasonry,
+    timeline: layoutTimeline
+};
+
+/**
+ * Pick the layout from ?layout=<name>, falling back to the square grid
+ */
+function getInitialLayoutMode() {
+    const mode = new URLSearchParams(window.location.search).get('layout');
+    if (mode && !LAYOUTS[mode]) {
+        console.warn(`Unknown layout "${mode}", using grid. Available: ${Object.keys(LAYOUTS).join(', ')}`);
+    }
+    return LAYOUTS[mode] ? mode : 'grid';
+}
+
+let LAYOUT_MODE = getInitialLayoutMode();
+
+/**
+ * Position items in place using a layout and record its sections and islands
+ * @param {Array} items - Items to position (x, y, w, h, column, row are written)
+ * @param {string} mode - Key of LAYOUTS
+ * @returns {Object} {width, height, sections, islands} of the laid-out area
+ */
+function applyLayout(items, mode = LAYOUT_MODE) {
+    const layout = LAYOUTS[mode] || LAYOUTS.grid;
+    const options = { columns: GRID_COLUMNS, itemSize: ITEM_SIZE };
+    // Items from several albums get one island per album, each laid out on its own
+    const result = usesAlbumIslands() ? layoutAlbumIslands(items, layout, options) : layout(items, options);
+    LAYOUT_SECTIONS = result.sections || [];
+    LAYOUT_ISLANDS = result.islands || [];
+    return result;
+}
+
+/**
+ * Switch layouts at runtime, keeping the item at the centre of the screen in view.
+ * Only manifest data is re-laid out; the random placeholder world is always a grid.
+ */
+function setLayoutMode(mode) {
+    if (!LAYOUTS[mode]) {
+        console.warn(`Unknown layout "${mode}"`);
+        return;
+    }
+
+    LAYOUT_MODE = mode;
+    if (!usingRealData) return;
+
+    const anchor = findItemNearestViewportCenter();
+    applyLayout(ITEM_DATA, mode);
+    setItemData(ITEM_DATA);
+    initializeCanvas();
+    updateTimelineMenu();
+
+    if (anchor) {
+        // Wrapped copies are re-created at their new position
+        centerOnItem(findItemById(anchor.id) || anchor);
+    } else {
+        loadFromCenter();
+    }
+}
@@ -0,0 +1,364 @@
+// MEGHTOSH Lightbox
+// Full-screen viewer for a single tile with spatial neighbour navigation
+// Note: relies on state, renderedItems and helpers defined in app.js
+
+// Constants
+const LIGHTBOX_CLICK_DELAY = 250; // Wait this long so a double-click/double-tap can cancel the open
+const LIGHTBOX_ANIMATION_MS = 250;
+const LIGHTBOX_SWIPE_THRESHOLD = 50; // Min swipe distance in px to navigate
+const NEIGHBOUR_SEARCH_TILES = 10; // How far (in tiles) to look for a neighbour
+
+const lightboxState = {
+    isOpen: false,
+    item: null,
+    elements: null,
+    pendingOpen: null,
+    swipeStart: null,
+    suppressClick: false
+};
+
+// ============================================================================
+// Neighbour Lookup
+// ============================================================================
+
+/**
+ * Find the nearest item in a direction from the given item
+ * @param {Object} item - Current item
+ * @param {string} direction - 'left', 'right', 'up' or 'down'
+ * @returns {Object|null} Neighbouring item
+ */
+function findNeighbourItem(item, direction) {
+    const rect = ITEM_INDEX.getItemRect(item);
+    const reach = NEIGHBOUR_SEARCH_TILES * ITEM_SIZE;
+    const centerX = (rect.left + rect.right) / 2;
+    const centerY = (rect.top + rect.bottom) / 2;
+
+    // Search a band extending away from the item in the requested direction
+    const searchBounds = {
+        left: direction === 'left' ? rect.left - reach : (direction === 'right' ? rect.right : rect.left - reach),
+        right: direction === 'right' ? rect.right + reach : (direction === 'left' ? rect.left : rect.right + reach),
+        top: direction === 'up' ? rect.top - reach : (direction === 'down' ? rect.bottom : rect.top - reach),
+        bottom: direction === 'down' ? rect.bottom + reach : (direction === 'up' ? rect.top : rect.bottom + reach)
+    };
+
+    let best = null;
+    let bestScore = Infinity;
+
+    for (const candidate of ITEM_INDEX.query(searchBounds)) {
+        if (candidate === item) continue;
+
+        const candidateRect = ITEM_INDEX.getItemRect(candidate);
+        const dx = (candidateRect.left + candidateRect.right) / 2 - centerX;
+        const dy = (candidateRect.top + candidateRect.bottom) / 2 - centerY;
+
+        // Primary axis distance must point the right way
+        const primary = { left: -dx, right: dx, up: -dy, down: dy }[direction];
+        const secondary = direction === 'left' || direction === 'right' ? Math.abs(dy) : Math.abs(dx);
+        if (primary <= 0) continue;
+
+        // Prefer items in line with the current one over diagonal ones
+        const score = primary + secondary * 2;
+        if (score < bestScore) {
+            bestScore = score;
+            best = candidate;
+        }
+    }
+
+    return best;
+}
+
+// ============================================================================
+// Media
+// ============================================================================
+
+/**
+ * Create the lightbox media element for an item
+ */
+function createLightboxMedia(item) {
+    if (item.type === 'video') {
+        const video = document.createElement('video');
+        video.className = 'lightbox-media';
+        video.controls = true;
+        video.autoplay = true;
+        video.loop = true;
+        video.playsInline = true;
+        video.setAttribute('playsinline', '');
+
+        // Placeholder or broken videos fall back to a still image
+        video.addEventListener('error', () => {
+            const img = createLightboxImage(item, `https://picsum.photos/1600?random=${item.id}-video`);
+            video.replaceWith(img);
+        });
+
+        video.src = item.src;
+        return video;
+    }
+
+    return createLightboxImage(item, getFullResolutionSrc(item));
+}
+
+function createLightboxImage(item, fullSrc) {
+    const img = document.createElement('img');
+    img.className = 'lightbox-media';
+    img.alt = `Photo ${item.id}`;
+    img.decoding = 'async';
+
+    // Show the (already cached) tile image first, then swap in full resolution
+    const tileImg = renderedItems.get(item.id.toString())?.querySelector('img');
+    img.src = tileImg?.currentSrc || tileImg?.src || fullSrc;
+    if (img.src !== fullSrc) {
+        const fullImage = new Image();
+        fullImage.onload = () => {
+            if (lightboxState.item === item) img.src = fullSrc;
+        };
+        fullImage.src = fullSrc;
+    }
+
+    return img;
+}
+
+// ============================================================================
+// DOM & Animation
+// ============================================================================
+
+/**
+ * Build the lightbox overlay once and cache its elements
+ */
+function getLightboxElements() {
+    if (lightboxState.elements) return lightboxState.elements;
+
+    const root = document.createElement('div');
+    root.className = 'lightbox';
+    root.hidden = true;
+    root.setAttribute('role', 'dialog');
+    root.setAttribute('aria-modal', 'true');
+    root.setAttribute('aria-label', 'Media viewer');
+
+    const backdrop = document.createElement('div');
+    backdrop.className = 'lightbox-backdrop';
+
+    const stage = document.createElement('div');
+    stage.className = 'lightbox-stage';
+
+    const makeButton = (className, label, text, onClick) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = `lightbox-button ${className}`;
+        button.setAttribute('aria-label', label);
+        button.textContent = text;
+        button.addEventListener('click', (e) => {
+            e.stopPropagation();
+            onClick();
+        });
+        return button;
+    };
+
+    root.append(
+        backdrop,
+        stage,
+        makeButton('lightbox-close', 'Close', '✕', closeLightbox),
+        makeButton('lightbox-download', 'Download', '⬇', () => downloadMedia(lightboxState.item)),
+        makeButton('lightbox-prev', 'Previous', '‹', () => navigateLightbox('left')),
+        makeButton('lightbox-next', 'Next', '›', () => navigateLightbox('right')),
+        makeButton('lightbox-up', 'Item above', '˄', () => navigateLightbox('up')),
+        makeButton('lightbox-down', 'Item below', '˅', () => navigateLightbox('down'))
+    );
+
+    // Click on the empty area around the media closes the viewer
+    stage.addEventListener('click', (e) => {
+        if (lightboxState.suppressClick) {
+            lightboxState.suppressClick = false;
+            return;
+        }
+        if (e.target === stage) closeLightbox();
+    });
+    backdrop.addEventListener('click', closeLightbox);
+
+    stage.addEventListener('pointerdown', handleLightboxPointerDown);
+    stage.addEventListener('pointerup', handleLightboxPointerUp);
+    stage.addEventListener('pointercancel', () => { lightboxState.swipeStart = null; });
+
+    document.body.appendChild(root);
+    lightboxState.elements = { root, backdrop, stage };
+    return lightboxState.elements;
+}
+
+/**
+ * Get the on-screen rectangle of an item's tile, if it is rendered
+ */
+function getTileScreenRect(item) {
+    const element = renderedItems.get(item.id.toString());
+    return element ? element.getBoundingClientRect() : null;
+}
+
+/**
+ * Compute a transform that maps the stage onto a tile rectangle
+ */
+function getStageToTileTransform(stage, tileRect) {
+    const stageRect = stage.getBoundingClientRect();
+    if (!tileRect || stageRect.width === 0) return 'scale(0.8)';
+
+    const scale = tileRect.width / stageRect.width;
+    const dx = (tileRect.left + tileRect.width / 2) - (stageRect.left + stageRect.width / 2);
+    const dy = (tileRect.top + tileRect.height / 2) - (stageRect.top + stageRect.height / 2);
+    return `translate(${dx}px, ${dy}px) scale(${scale})`;
+}
+
+/**
+ * Put an item's media on stage
+ */
+function showLightboxItem(item) {
+    const { stage } = getLightboxElements();
+
+    const previousVideo = stage.querySelector('video');
+    if (previousVideo) previousVideo.pause();
+
+    lightboxState.item = item;
+    stage.replaceChildren(createLightboxMedia(item));
+}
+
+// ============================================================================
+// Open / Close / Navigate
+// ============================================================================
+
+function openLightbox(item) {
+    if (!item) return;
+
+    const { root, stage } = getLightboxElements();
+    const tileRect = getTileScreenRect(item);
+
+    showLightboxItem(item);
+    root.hidden = false;
+    lightboxState.isOpen = true;
+
+    // Grow from the tile's position on the canvas
+    stage.style.transition = 'none';
+    stage.style.transform = getStageToTileTransform(stage, tileRect);
+    root.classList.remove('open');
+    void stage.offsetWidth; // Force layout so the transition runs
+    stage.style.transition = '';
+    stage.style.transform = '';
+    root.classList.add('open');
+
+    scheduleDeepLinkUpdate();
+}
+
+function closeLightbox() {
+    if (!lightboxState.isOpen) return;
+
+    const { root, stage } = getLightboxElements();
+    const item = lightboxState.item;
+    lightboxState.isOpen = false;
+
+    // Shrink back onto the tile (navigation keeps the current item centred and rendered)
+    const tileRect = getTileScreenRect(item);
+    stage.style.transform = getStageToTileTransform(stage, tileRect);
+    root.classList.remove('open');
+    scheduleDeepLinkUpdate();
+
+    setTimeout(() => {
+        if (lightboxState.isOpen) return; // Re-opened during the animation
+        const video = stage.querySelector('video');
+        if (video) {
+            video.pause();
+            video.removeAttribute('src');
+            video.load();
+        }
+        stage.replaceChildren();
+        stage.style.transform = '';
+        root.hidden = true;
+        lightboxState.item = null;
+    }, LIGHTBOX_ANIMATION_MS);
+}
+
+/**
+ * Move to the neighbouring item and keep the canvas centred on it behind the overlay
+ */
+function navigateLightbox(direction) {
+    if (!lightboxState.isOpen) return;
+
+    const neighbour = findNeighbourItem(lightboxState.item, direction);
+    if (!neighbour) return;
+
+    showLightboxItem(neighbour);
+    centerOnItem(neighbour);
+}
+
+// ============================================================================
+// Input
+// ============================================================================
+
+/**
+ * Open the lightbox on single click, unless a second click turns it into a double-click
+ */
+function handleItemClick(e) {
+    if (gestureMoved) return; // The press was a drag/pinch, not a click
+
+    const item = getEventItem(e);
+    if (!item) return;
+
+    // Embedders can take over clicks (api.js)
+    if (!emitViewerEvent('itemclick', { item: { ...item } })) return;
+    if (e.shiftKey || e.ctrlKey || e.metaKey) return; // Modified clicks select (selection.js)
+
+    clearTimeout(lightboxState.pendingOpen);
+    lightboxState.pendingOpen = null;
+    if (e.detail > 1) return; // Double-click downloads, double-tap zooms
+
+    lightboxState.pendingOpen = setTimeout(() => {
+        lightboxState.pendingOpen = null;
+        openLightbox(item);
+    }, LIGHTBOX_CLICK_DELAY);
+}
+
+function handleLightboxKeyDown(e) {
+    if (!lightboxState.isOpen) return;
+
+    const directions = {
+        ArrowLeft: 'left',
+        ArrowRight: 'right',
+        ArrowUp: 'up',
+        ArrowDown: 'down'
+    };
+
+    if (e.key === 'Escape') {
+        closeLightbox();
+    } else if (directions[e.key]) {
+        navigateLightbox(directions[e.key]);
+    } else {
+        return;
+    }
+
+    // The lightbox owns the keyboard while it is open
+    e.preventDefault();
+    e.stopPropagation();
+}
+
+function handleLightboxPointerDown(e) {
+    // Mouse drags are left to video controls; swipes are for touch and pen
+    if (e.pointerType === 'mouse') return;
+    lightboxState.swipeStart = { x: e.clientX, y: e.clientY };
+    lightboxState.suppressClick = false;
+}
+
+function handleLightboxPointerUp(e) {
+    const start = lightboxState.swipeStart;
+    lightboxState.swipeStart = null;
+    if (!start) return;
+
+    const dx = e.clientX - start.x;
+    const dy = e.clientY - start.y;
+    if (Math.max(Math.abs(dx), Math.abs(dy)) < LIGHTBOX_SWIPE_THRESHOLD) return;
+
+    lightboxState.suppressClick = true;
+
+    // Swipe moves content with the finger: swiping left shows the item to the right
+    if (Math.abs(dx) > Math.abs(dy)) {
+        navigateLightbox(dx < 0 ? 'right' : 'left');
+    } else {
+        navigateLightbox(dy < 0 ? 'down' : 'up');
+    }
+}
+
+viewport.addEventListener('click', handleItemClick);
+window.addEventListener('keydown', handleLightboxKeyDown, true);
@@ -0,0 +1,153 @@
+// MEGHTOSH Media Loader
+// One queue for every image the canvas loads (tile images, LOD upgrades and
+// overview thumbnails). It caps concurrent requests, starts the tile nearest the
+// viewport centre first, drops requests whose tile has left the buffer zone and
+// retries failures with exponential backoff before giving up.
+
+const MEDIA_MAX_CONCURRENT = 8; // Image requests in flight at once
+const MEDIA_MAX_RETRIES = 3; // Retries after the first failure
+const MEDIA_RETRY_BASE_MS = 1000; // Doubled for every retry
+
+const mediaQueue = {
+    entries: new Map(), // Map<HTMLImageElement, entry> queued, waiting for a retry or in flight
+    active: 0
+};
+
+/**
+ * Queue an image load. Re-queuing an image replaces its pending request.
+ * @param {HTMLImageElement} img - Image to load into (a tile image or an off-screen Image)
+ * @param {string|Function} src - URL to load, or a function returning it when the request starts
+ * @param {Object} item - Item the image belongs to (sets the priority; cancelled when it leaves the buffer)
+ * @param {Object} options - {onLoad, onFail, onCancel, retries}
+ */
+function queueImageLoad(img, src, item, options = {}) {
+    cancelImageLoad(img, false);
+    mediaQueue.entries.set(img, {
+        img,
+        src,
+        item,
+        retries: options.retries ?? MEDIA_MAX_RETRIES,
+        attempts: 0,
+        status: 'queued', // queued | waiting (retry backoff) | loading
+        retryTimer: null,
+        onLoad: options.onLoad || null,
+        onFail: options.onFail || null,
+        onCancel: options.onCancel || null
+    });
+    schedulePumpMediaQueue();
+}
+
+function isImageLoadPending(img) {
+    return mediaQueue.entries.has(img);
+}
+
+/**
+ * Drop an image's pending request, aborting it if already in flight
+ * @param {boolean} notify - Call the request's onCancel
+ */
+function cancelImageLoad(img, notify = true) {
+    const entry = mediaQueue.entries.get(img);
+    if (!entry) return;
+
+    mediaQueue.entries.delete(img);
+    clearTimeout(entry.retryTimer);
+    if (entry.status === 'loading') {
+        img.onload = null;
+        img.onerror = null;
+        img.removeAttribute('src'); // Aborts the request
+        mediaQueue.active--;
+        schedulePumpMediaQueue();
+    }
+    if (notify && entry.onCancel) entry.onCancel();
+}
+
+/**
+ * Cancel the requests of every image inside a tile element (before it is removed)
+ */
+function cancelElementImages(element) {
+    element.querySelectorAll('img').forEach(img => cancelImageLoad(img));
+}
+
+/**
+ * Cancel requests for items that have left the buffer zone, then start the
+ * next ones (called from render())
+ */
+function updateMediaQueue() {
+    if (mediaQueue.entries.size === 0) return;
+
+    const bounds = calculateViewportBounds();
+    mediaQueue.entries.forEach(entry => {
+        if (!itemIntersectsViewport(entry.item, bounds)) cancelImageLoad(entry.img);
+    });
+    pumpMediaQueue();
+}
+
+let mediaPumpScheduled = false;
+
+/**
+ * Start queued loads in a microtask, so a render that queues many tiles can
+ * pick the nearest ones rather than the first ones created
+ */
+function schedulePumpMediaQueue() {
+    if (mediaPumpScheduled) return;
+    mediaPumpScheduled = true;
+    queueMicrotask(() => {
+        mediaPumpScheduled = false;
+        pumpMediaQueue();
+    });
+}
+
+function pumpMediaQueue() {
+    if (mediaQueue.active >= MEDIA_MAX_CONCURRENT) return;
+
+    const center = screenToWorld(state.viewportWidth / 2, state.viewportHeight / 2);
+    const queued = [];
+    mediaQueue.entries.forEach(entry => {
+        if (entry.status !== 'queued') return;
+        const item = entry.item;
+        entry.distance = Math.hypot(item.x + item.w / 2 - center.x, item.y + item.h / 2 - center.y);
+        queued.push(entry);
+    });
+
+    queued.sort((a, b) => a.distance - b.distance);
+    for (let i = 0; i < queued.length && mediaQueue.active < MEDIA_MAX_CONCURRENT; i++) {
+        startImageLoad(queued[i]);
+    }
+}
+
+function startImageLoad(entry) {
+    const { img } = entry;
+    entry.status = 'loading';
+    mediaQueue.active++;
+
+    const finish = () => {
+        img.onload = null;
+        img.onerror = null;
+        mediaQueue.active--;
+        schedulePumpMediaQueue();
+    };
+
+    img.onload = () => {
+        finish();
+        mediaQueue.entries.delete(img);
+        if (entry.onLoad) entry.onLoad();
+    };
+    img.onerror = () => {
+        finish();
+        entry.attempts++;
+        if (entry.attempts > entry.retries) {
+            mediaQueue.entries.delete(img);
+            if (entry.onFail) entry.onFail();
+            return;
+        }
+
+        // Back off, then rejoin the queue (it may have been cancelled by then)
+        entry.status = 'waiting';
+        entry.retryTimer = setTimeout(() => {
+            if (mediaQueue.entries.get(img) !== entry) return;
+            entry.status = 'queued';
+            schedulePumpMediaQueue();
+        }, MEDIA_RETRY_BASE_MS * Math.pow(2, entry.attempts - 1));
+    };
+    img.src = typeof entry.src === 'function' ? entry.src() : entry.src;
+}
@@ -0,0 +1,173 @@
+// MEGHTOSH Level of Detail
+// Picks an image size for each tile from the zoom level and devicePixelRatio,
+// and upgrades rendered tiles once zooming settles (never downgrades)
+
+// Sizes we request, in pixels along the longest edge
+const LOD_SIZES = [100, 200, 400, 800, 1600, 3200];
+const LOD_SETTLE_MS = 200; // Wait this long after the last render before upgrading tiles
+const LOD_FULL_RESOLUTION_SIZE = 1600; // Lightbox size for sources without an "original" variant
+const LOD_MEMORY_LIMIT = 5000; // Sources whose loaded size is remembered (oldest forgotten first)
+
+const lodState = {
+    settleTimer: null,
+    lastZoom: null, // Zoom the pending upgrade was scheduled for
+    loadedSizes: new Map() // Map<baseSrc, largest size loaded>, so re-created tiles reuse sharp images
+};
+
+/**
+ * Whether a source URL can be requested at different sizes
+ */
+function supportsLod(src) {
+    return src.includes('googleusercontent.com') || src.includes('picsum.photos');
+}
+
+/**
+ * Variant of a source URL at a given size (longest edge)
+ * @param {string} src - Original URL (Google Photos or Picsum)
+ * @param {number} size - Pixels, or 0 for the original (Google Photos only)
+ */
+function getSizedSrc(src, size) {
+    if (src.includes('googleusercontent.com')) {
+        // Replace any existing "=w200-h200"-style suffix
+        return `${src.split('=')[0]}=s${size}`;
+    }
+    if (src.includes('picsum.photos')) {
+        // Size is the last path segment: /seed/x/200 or /200?random=...
+        return src.replace(/\/\d+(\/\d+)?(?=$|\?)/, `/${size || LOD_FULL_RESOLUTION_SIZE}`);
+    }
+    return src;
+}
+
+/**
+ * Smallest LOD size that keeps a tile sharp at a zoom level
+ */
+function getRequiredLodSize(item, zoom = state.zoom) {
+    const pixels = Math.max(item.w, item.h) * zoom * (window.devicePixelRatio || 1);
+    return LOD_SIZES.find(size => size >= pixels) || LOD_SIZES[LOD_SIZES.length - 1];
+}
+
+/**
+ * Tile image URL for an item's source at the current zoom, reusing a larger
+ * variant that was already loaded
+ * @param {Object} item - Item being rendered (for its tile size)
+ * @param {string} baseSrc - Source URL to size
+ * @returns {Object} {src, size} where size is 0 when the source has no variants
+ */
+function getTileSrc(item, baseSrc = item.src) {
+    if (!supportsLod(baseSrc)) return { src: baseSrc, size: 0 };
+
+    const size = Math.max(getRequiredLodSize(item), lodState.loadedSizes.get(baseSrc) || 0);
+    return { src: getSizedSrc(baseSrc, size), size };
+}
+
+/**
+ * Queue a tile image at its LOD source and remember it for upgrades
+ * @param {Object} options - Passed on to queueImageLoad() (loader.js)
+ */
+function setTileImageSrc(img, item, baseSrc = item.src, options = {}) {
+    if (supportsLod(baseSrc)) img.dataset.lodSrc = baseSrc;
+
+    // Size is picked when the request starts, so tiles queued before a zoom load at the new size
+    let size = 0;
+    const resolveSrc = () => {
+        const tile = getTileSrc(item, baseSrc);
+        size = tile.size;
+        if (size > 0) img.dataset.lodSize = size;
+        return tile.src;
+    };
+
+    queueImageLoad(img, resolveSrc, item, {
+        ...options,
+        onLoad: () => {
+            if (size > 0) {
+                rememberLoadedSize(baseSrc, size);
+                // The zoom may have changed while it was loading
+                if (getRequiredLodSize(item) > size) scheduleTileUpgrade();
+            }
+            if (options.onLoad) options.onLoad();
+        }
+    });
+}
+
+function rememberLoadedSize(baseSrc, size) {
+    const known = lodState.loadedSizes.get(baseSrc) || 0;
+    // Re-insert so the Map stays in least-recently-loaded order
+    lodState.loadedSizes.delete(baseSrc);
+    lodState.loadedSizes.set(baseSrc, Math.max(known, size));
+
+    if (lodState.loadedSizes.size > LOD_MEMORY_LIMIT) {
+        lodState.loadedSizes.delete(lodState.loadedSizes.keys().next().value);
+    }
+}
+
+/**
+ * Get the best available full-resolution URL for an item
+ */
+function getFullResolutionSrc(item) {
+    // Google Photos serves the original size with the =s0 suffix
+    return supportsLod(item.src) ? getSizedSrc(item.src, 0) : item.src;
+}
+
+/**
+ * Upgrade tiles once the zoom has been still for LOD_SETTLE_MS
+ * (new tiles are already created at the right size, so panning doesn't matter)
+ */
+function scheduleLodUpdate() {
+    if (state.zoom === lodState.lastZoom) return;
+    lodState.lastZoom = state.zoom;
+
+    clearTimeout(lodState.settleTimer);
+    lodState.settleTimer = setTimeout(upgradeRenderedTiles, LOD_SETTLE_MS);
+}
+
+/**
+ * Upgrade tiles soon without waiting for another zoom change
+ */
+function scheduleTileUpgrade() {
+    if (lodState.settleTimer === null) {
+        lodState.settleTimer = setTimeout(upgradeRenderedTiles, LOD_SETTLE_MS);
+    }
+}
+
+/**
+ * Load sharper variants for rendered tiles that are shown larger than their
+ * image. The new image is decoded off-screen and swapped in, so tiles never blank.
+ */
+function upgradeRenderedTiles() {
+    lodState.settleTimer = null;
+
+    renderedItems.forEach((element, itemId) => {
+        const img = element.querySelector('img[data-lod-src]');
+        const item = ITEM_INDEX.get(itemId);
+        if (!img || !item || img.dataset.lodPending || isImageLoadPending(img)) return;
+
+        const currentSize = Number(img.dataset.lodSize);
+        const requiredSize = getRequiredLodSize(item);
+        if (requiredSize <= currentSize) return;
+        if (requiredSize >= Number(img.dataset.lodFailedSize || Infinity)) return; // Don't retry broken sizes
+
+        const baseSrc = img.dataset.lodSrc;
+        const upgradeSrc = getSizedSrc(baseSrc, requiredSize);
+        img.dataset.lodPending = 'true';
+
+        const loader = new Image();
+        loader.decoding = 'async';
+        queueImageLoad(loader, upgradeSrc, item, {
+            retries: 0, // The tile already shows a smaller image
+            onLoad: () => {
+                delete img.dataset.lodPending;
+                rememberLoadedSize(baseSrc, requiredSize);
+                // A later upgrade may already have landed, or the tile was recycled for another item
+                if (img.dataset.lodSrc === baseSrc && Number(img.dataset.lodSize) < requiredSize) {
+                    img.src = upgradeSrc;
+                    img.dataset.lodSize = requiredSize;
+                }
+            },
+            onFail: () => {
+                delete img.dataset.lodPending;
+                img.dataset.lodFailedSize = requiredSize;
+            },
+            onCancel: () => delete img.dataset.lodPending
+        });
+    });
+}
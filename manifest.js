@@ -0,0 +1,245 @@
+// MEGHTOSH Manifest Schema
+// Versioned format for photos-data.json, a normaliser that upgrades legacy
+// files, and a validator that reports bad entries
+//
+// Version 2 shape:
+// {
+//   "version": 2,
+//   "albums": [{ "id": "drive1", "title": "Day 1", "url": "https://photos.app.goo.gl/..." }],
+//   "items": [{
+//     "id": 1,                          // Unique, positive integer or string
+//     "type": "photo" | "video",
+//     "src": "https://...",             // Required
+//     "poster": "https://...",          // Optional still frame for videos
+//     "caption": "Nohkalikai Falls",
+//     "takenAt": "2025-03-14T10:22:00+05:30", // Capture-local time; the offset is kept
+//     "width": 4032, "height": 3024,    // Original media size in pixels
+//     "album": "drive1",                // Album id from "albums"; needed for album islands
+//     "tags": ["waterfall", "day-2"]
+//   }]
+// }
+//
+// Legacy files ({ drive1, drive2, items }) may have items nested in an extra
+// array (one per album when the counts match), lack "type" or "version", and
+// are upgraded by normalizeManifest().
+//
+// Album islands (islands.js) only appear once items from two or more albums
+// carry an "album" id. Older manifests have none: re-running
+// `node extract-photos.js --merge` tags each item with the album it was found in.
+
+const MANIFEST_VERSION = 2;
+const MANIFEST_ITEM_TYPES = ['photo', 'video'];
+const VIDEO_EXTENSION_PATTERN = /\.(mp4|webm|mov|m4v)(?:[?#]|$)/i;
+
+/**
+ * Guess an item type from its URL
+ */
+function inferMediaType(src) {
+    return VIDEO_EXTENSION_PATTERN.test(src || '') ? 'video' : 'photo';
+}
+
+/**
+ * Upgrade any known manifest shape to the version 2 structure (no validation)
+ * @param {Object|Array} raw - Parsed JSON
+ * @returns {Object} {version, albums, items}
+ */
+function normalizeManifest(raw) {
+    const source = Array.isArray(raw) ? { items: raw } : (raw || {});
+
+    // Legacy files record album links as drive1, drive2, ...
+    const albums = Array.isArray(source.albums) ? source.albums.slice() : [];
+    const driveKeys = Object.keys(source)
+        .filter(key => /^drive\d+$/.test(key) && typeof source[key] === 'string');
+    driveKeys.forEach(key => {
+        if (!albums.some(album => album && album.id === key)) {
+            albums.push({ id: key, url: source[key] });
+        }
+    });
+
+    // Legacy files wrap items in an extra array: "items": [[ ... ]], one per
+    // album when there are as many arrays as drive links
+    const groups = Array.isArray(source.items) ? source.items : [];
+    const perAlbum = driveKeys.length > 1 && groups.length === driveKeys.length && groups.every(Array.isArray);
+    const rawItems = [];
+    const rawAlbums = [];
+    groups.forEach((group, index) => {
+        const entries = Array.isArray(group) ? group.flat(Infinity) : [group];
+        entries.forEach(entry => {
+            rawItems.push(entry);
+            rawAlbums.push(perAlbum ? driveKeys[index] : undefined);
+        });
+    });
+
+    const items = rawItems.map((entry, index) => {
+        if (!entry || typeof entry !== 'object') return entry;
+
+        const item = { ...entry };
+        if (item.album === undefined && rawAlbums[index]) item.album = rawAlbums[index];
+        // Accept a few common aliases from hand-written files
+        if (item.takenAt === undefined) item.takenAt = entry.timestamp ?? entry.date;
+        if (item.caption === undefined) item.caption = entry.title ?? entry.description;
+        if (item.type === undefined && typeof item.src === 'string') item.type = inferMediaType(item.src);
+        if (item.type === 'image') item.type = 'photo';
+        delete item.timestamp;
+        delete item.date;
+        delete item.title;
+        delete item.description;
+        return item;
+    });
+
+    return {
+        version: Number(source.version) || 1,
+        albums,
+        items
+    };
+}
+
+/**
+ * Validate a normalised manifest, dropping unusable entries and cleaning optional fields
+ * @param {Object} manifest - Output of normalizeManifest()
+ * @returns {Object} {albums, items, issues} where issues are {severity, index, id, message}
+ */
+function validateManifest(manifest) {
+    const issues = [];
+    const report = (severity, index, id, message) => issues.push({ severity, index, id, message });
+
+    if (manifest.version > MANIFEST_VERSION) {
+        report('warning', null, null, `Manifest version ${manifest.version} is newer than supported version ${MANIFEST_VERSION}`);
+    }
+
+    const albums = manifest.albums.filter((album, index) => {
+        if (!album || typeof album.id !== 'string' || album.id === '') {
+            report('warning', null, null, `Album ${index + 1} has no id and was ignored`);
+            return false;
+        }
+        return true;
+    });
+    const albumIds = new Set(albums.map(album => album.id));
+
+    // First pass: ids already taken, so generated ids never collide with later entries
+    let nextId = 1;
+    manifest.items.forEach(entry => {
+        if (entry && entry.id !== undefined && entry.id !== null && entry.id !== '') {
+            const numericId = Number(entry.id);
+            if (Number.isInteger(numericId)) nextId = Math.max(nextId, numericId + 1);
+        }
+    });
+    const seenIds = new Set();
+
+    const items = [];
+    manifest.items.forEach((entry, index) => {
+        if (!entry || typeof entry !== 'object') {
+            report('error', index, null, 'Entry is not an object');
+            return;
+        }
+
+        const label = entry.id ?? `#${index + 1}`;
+
+        if (typeof entry.src !== 'string' || entry.src.trim() === '') {
+            report('error', index, label, 'Missing src');
+            return;
+        }
+        if (!MANIFEST_ITEM_TYPES.includes(entry.type)) {
+            report('error', index, label, `Unknown type "${entry.type}"`);
+            return;
+        }
+
+        const item = { id: entry.id, type: entry.type, src: entry.src.trim() };
+
+        // Ids: keep given ones, replace duplicates, fill in missing ones
+        const hasId = entry.id !== undefined && entry.id !== null && entry.id !== '';
+        if (hasId && seenIds.has(String(entry.id))) {
+            item.id = nextId++;
+            report('warning', index, label, `Duplicate id, reassigned to ${item.id}`);
+        } else if (!hasId) {
+            item.id = nextId++;
+        }
+        seenIds.add(String(item.id));
+
+        if (entry.poster !== undefined) {
+            if (typeof entry.poster === 'string' && entry.poster !== '') {
+                item.poster = entry.poster;
+            } else {
+                report('warning', index, label, 'Ignoring invalid poster');
+            }
+        }
+
+        if (entry.caption !== undefined && entry.caption !== null) {
+            item.caption = String(entry.caption);
+        }
+
+        if (entry.takenAt !== undefined && entry.takenAt !== null) {
+            const takenAt = new Date(entry.takenAt);
+            if (isNaN(takenAt.getTime())) {
+                report('warning', index, label, `Ignoring invalid takenAt "${entry.takenAt}"`);
+            } else if (typeof entry.takenAt === 'string') {
+                // As written: the capture-local date decides the timeline day (layout.js)
+                item.takenAt = entry.takenAt.trim();
+            } else {
+                item.takenAt = takenAt.toISOString(); // Epoch milliseconds carry no offset
+            }
+        }
+
+        if (entry.width !== undefined || entry.height !== undefined) {
+            const width = Number(entry.width);
+            const height = Number(entry.height);
+            if (width > 0 && height > 0) {
+                item.width = width;
+                item.height = height;
+            } else {
+                report('warning', index, label, 'Ignoring invalid width/height');
+            }
+        }
+
+        if (entry.location !== undefined && entry.location !== null) {
+            const lat = Number(entry.location.lat);
+            const lng = Number(entry.location.lng);
+            if (Math.abs(lat) <= 90 && Math.abs(lng) <= 180) {
+                item.location = { lat, lng };
+            } else {
+                report('warning', index, label, 'Ignoring invalid location');
+            }
+        }
+
+        if (entry.album !== undefined && entry.album !== null) {
+            item.album = String(entry.album);
+            if (!albumIds.has(item.album)) {
+                report('warning', index, label, `Unknown album "${item.album}"`);
+            }
+        }
+
+        if (entry.tags !== undefined) {
+            if (Array.isArray(entry.tags)) {
+                item.tags = entry.tags.map(String).filter(tag => tag !== '');
+            } else {
+                report('warning', index, label, 'Ignoring tags (expected an array)');
+            }
+        }
+
+        items.push(item);
+    });
+
+    return { albums, items, issues };
+}
+
+/**
+ * Normalise and validate in one go
+ * @param {Object|Array} raw - Parsed JSON
+ * @returns {Object} {version, albums, items, issues}
+ */
+function parseManifest(raw) {
+    const normalized = normalizeManifest(raw);
+    const { albums, items, issues } = validateManifest(normalized);
+    return { version: MANIFEST_VERSION, albums, items, issues };
+}
+
+// Node.js (import and extraction scripts)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        MANIFEST_VERSION,
+        inferMediaType,
+        normalizeManifest,
+        validateManifest,
+        parseManifest
+    };
+}
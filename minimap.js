@@ -0,0 +1,195 @@
+// MEGHTOSH Minimap
+// Corner overview of the loaded items with the current viewport, selected and
+// focused items; click or drag on it to move the camera.
+// Items are drawn to a cached layer that is only redrawn when the index changes,
+// so the per-render cost is one drawImage plus a few rectangles.
+
+const MINIMAP_WIDTH = 180;
+const MINIMAP_HEIGHT = 120;
+const MINIMAP_PADDING = 6; // px kept free around the extent
+const MINIMAP_JUMP_MS = 300; // Camera flight after a click
+
+const minimapState = {
+    elements: null,
+    transform: null, // {scale, offsetX, offsetY} used for the last frame
+    dragTransform: null, // Frozen while dragging, so the map doesn't shift under the pointer
+    layerKey: null // What the cached item layer was drawn for
+};
+
+function getMinimapElements() {
+    if (minimapState.elements) return minimapState.elements;
+
+    const dpr = window.devicePixelRatio || 1;
+    const createCanvas = () => {
+        const element = document.createElement('canvas');
+        element.width = MINIMAP_WIDTH * dpr;
+        element.height = MINIMAP_HEIGHT * dpr;
+        return element;
+    };
+
+    const canvas = createCanvas();
+    canvas.className = 'minimap';
+    canvas.style.width = `${MINIMAP_WIDTH}px`;
+    canvas.style.height = `${MINIMAP_HEIGHT}px`;
+    canvas.title = 'Minimap: click or drag to move';
+    canvas.setAttribute('aria-hidden', 'true'); // Keyboard users pan with the arrow keys
+
+    canvas.addEventListener('pointerdown', handleMinimapPointerDown);
+    canvas.addEventListener('pointermove', handleMinimapPointerMove);
+    canvas.addEventListener('pointerup', handleMinimapPointerUp);
+    canvas.addEventListener('pointercancel', handleMinimapPointerUp);
+    document.body.appendChild(canvas);
+
+    // Offscreen layer with the item rectangles
+    const layer = createCanvas();
+
+    minimapState.elements = { canvas, layer, dpr };
+    return minimapState.elements;
+}
+
+/**
+ * Area the minimap shows: all loaded items, grown to include the viewport
+ */
+function getMinimapExtent() {
+    const view = getScreenWorldBounds();
+    const items = ITEM_INDEX.getBounds();
+    if (!items) return view;
+
+    return {
+        left: Math.min(items.left, view.left),
+        top: Math.min(items.top, view.top),
+        right: Math.max(items.right, view.right),
+        bottom: Math.max(items.bottom, view.bottom)
+    };
+}
+
+/**
+ * Fit an extent into the minimap, keeping its aspect ratio
+ */
+function getMinimapTransform(extent) {
+    const innerWidth = MINIMAP_WIDTH - MINIMAP_PADDING * 2;
+    const innerHeight = MINIMAP_HEIGHT - MINIMAP_PADDING * 2;
+    const width = Math.max(1, extent.right - extent.left);
+    const height = Math.max(1, extent.bottom - extent.top);
+    const scale = Math.min(innerWidth / width, innerHeight / height);
+
+    return {
+        scale,
+        offsetX: MINIMAP_PADDING + (innerWidth - width * scale) / 2 - extent.left * scale,
+        offsetY: MINIMAP_PADDING + (innerHeight - height * scale) / 2 - extent.top * scale
+    };
+}
+
+function drawMinimapLayer(layer, dpr, transform) {
+    const ctx = layer.getContext('2d');
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    ctx.clearRect(0, 0, MINIMAP_WIDTH, MINIMAP_HEIGHT);
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.35)';
+
+    ITEM_INDEX.forEach(item => {
+        ctx.fillRect(
+            transform.offsetX + item.x * transform.scale,
+            transform.offsetY + item.y * transform.scale,
+            Math.max(1, item.w * transform.scale),
+            Math.max(1, item.h * transform.scale)
+        );
+    });
+}
+
+/**
+ * Draw a marker dot at an item's centre
+ */
+function drawMinimapDot(ctx, transform, item, color, radius) {
+    ctx.fillStyle = color;
+    ctx.beginPath();
+    ctx.arc(
+        transform.offsetX + (item.x + item.w / 2) * transform.scale,
+        transform.offsetY + (item.y + item.h / 2) * transform.scale,
+        radius,
+        0,
+        Math.PI * 2
+    );
+    ctx.fill();
+}
+
+/**
+ * Redraw the minimap (called from render())
+ */
+function updateMinimap() {
+    const { canvas, layer, dpr } = getMinimapElements();
+    const ctx = canvas.getContext('2d');
+    if (!ctx) return;
+
+    const transform = minimapState.dragTransform || getMinimapTransform(getMinimapExtent());
+    minimapState.transform = transform;
+
+    const layerKey = `${ITEM_INDEX.version}|${transform.scale}|${transform.offsetX}|${transform.offsetY}`;
+    if (layerKey !== minimapState.layerKey) {
+        drawMinimapLayer(layer, dpr, transform);
+        minimapState.layerKey = layerKey;
+    }
+
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.drawImage(layer, 0, 0);
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+
+    state.selectedItemIds.forEach(itemId => {
+        const item = ITEM_INDEX.get(itemId);
+        if (item) drawMinimapDot(ctx, transform, item, '#4da3ff', 2);
+    });
+
+    const focusedItem = state.focusedItemId && ITEM_INDEX.get(state.focusedItemId);
+    if (focusedItem) drawMinimapDot(ctx, transform, focusedItem, '#ffffff', 3);
+
+    // Current viewport
+    const view = getScreenWorldBounds();
+    ctx.strokeStyle = '#ffffff';
+    ctx.lineWidth = 1;
+    ctx.strokeRect(
+        transform.offsetX + view.left * transform.scale,
+        transform.offsetY + view.top * transform.scale,
+        (view.right - view.left) * transform.scale,
+        (view.bottom - view.top) * transform.scale
+    );
+}
+
+// ============================================================================
+// Interaction
+// ============================================================================
+
+/**
+ * World point under a pointer on the minimap
+ */
+function getMinimapWorldPoint(e, transform) {
+    const rect = minimapState.elements.canvas.getBoundingClientRect();
+    return {
+        x: (e.clientX - rect.left - transform.offsetX) / transform.scale,
+        y: (e.clientY - rect.top - transform.offsetY) / transform.scale
+    };
+}
+
+function handleMinimapPointerDown(e) {
+    if (e.pointerType === 'mouse' && e.button !== 0) return;
+    if (!minimapState.transform) return;
+
+    e.preventDefault();
+    e.stopPropagation();
+    minimapState.elements.canvas.setPointerCapture?.(e.pointerId);
+    minimapState.dragTransform = minimapState.transform;
+
+    const point = getMinimapWorldPoint(e, minimapState.dragTransform);
+    flyTo(point.x, point.y, state.zoom, MINIMAP_JUMP_MS);
+}
+
+function handleMinimapPointerMove(e) {
+    if (!minimapState.dragTransform) return;
+
+    // Follow the pointer directly while dragging
+    const point = getMinimapWorldPoint(e, minimapState.dragTransform);
+    flyTo(point.x, point.y, state.zoom, 0);
+}
+
+function handleMinimapPointerUp() {
+    minimapState.dragTransform = null;
+}
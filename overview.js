@@ -0,0 +1,217 @@
+// MEGHTOSH Overview Renderer
+// Below OVERVIEW_ENTER_ZOOM there are far more tiles on screen than DOM nodes we
+// can afford, so tiles are painted onto one viewport-sized <canvas> as small
+// thumbnails (colour swatches while loading) and syncDOM() renders none.
+// Entering reuses the images the DOM tiles already show, so nothing pops;
+// leaving fades the DOM tiles in over the canvas.
+
+const OVERVIEW_ENTER_ZOOM = 0.3; // Switch to the canvas below this zoom...
+const OVERVIEW_EXIT_ZOOM = 0.35; // ...and back to DOM tiles above this one, so it doesn't flicker at the threshold
+const OVERVIEW_FADE_MS = 150; // Matches the .grid-item opacity transition
+const OVERVIEW_THUMB_SIZE = 100; // LOD size painted on the canvas
+const OVERVIEW_CACHE_LIMIT = 4000; // Thumbnails kept (oldest forgotten first)
+
+const overviewState = {
+    active: false,
+    leaving: false, // DOM tiles are fading in over the canvas
+    leaveTimer: null,
+    canvas: null,
+    thumbnails: new Map(), // Map<baseSrc, HTMLImageElement|null>; null = failed
+    loading: new Set() // baseSrcs being fetched
+};
+
+function isOverviewActive() {
+    return overviewState.active;
+}
+
+function getOverviewCanvas() {
+    if (overviewState.canvas) return overviewState.canvas;
+
+    const canvas = document.createElement('canvas');
+    canvas.className = 'overview-canvas';
+    canvas.hidden = true;
+    viewport.insertBefore(canvas, virtualCanvas); // Below section headers
+    overviewState.canvas = canvas;
+    return canvas;
+}
+
+/**
+ * Image source painted for an item, or null when there is nothing cheap to show
+ */
+function getOverviewSource(item) {
+    if (item.type !== 'video') return item.src;
+    if (item.poster) return item.poster;
+    // Same stand-in image the DOM tile uses (see createItemElement)
+    return item.src.includes('sample-videos.com') ? `https://picsum.photos/200?random=${item.id}-video` : null;
+}
+
+/**
+ * Muted colour derived from the item id, shown until its thumbnail arrives
+ */
+function getOverviewSwatch(item) {
+    const hue = hashString(String(item.baseId ?? item.id)) % 360;
+    return `hsl(${hue}, 12%, 22%)`;
+}
+
+function rememberThumbnail(baseSrc, img) {
+    overviewState.thumbnails.delete(baseSrc);
+    overviewState.thumbnails.set(baseSrc, img);
+    if (overviewState.thumbnails.size > OVERVIEW_CACHE_LIMIT) {
+        overviewState.thumbnails.delete(overviewState.thumbnails.keys().next().value);
+    }
+}
+
+/**
+ * Reuse the images rendered tiles have already loaded
+ */
+function seedThumbnailsFromDOM() {
+    renderedItems.forEach(element => {
+        const img = element.querySelector('img');
+        if (!img || !img.complete || !img.naturalWidth) return;
+        rememberThumbnail(img.dataset.lodSrc || img.getAttribute('src'), img);
+    });
+}
+
+function loadThumbnail(baseSrc, item) {
+    overviewState.loading.add(baseSrc);
+    const size = supportsLod(baseSrc) ? OVERVIEW_THUMB_SIZE : 0;
+
+    const img = new Image();
+    img.decoding = 'async';
+    queueImageLoad(img, size > 0 ? getSizedSrc(baseSrc, size) : baseSrc, item, {
+        onLoad: () => {
+            overviewState.loading.delete(baseSrc);
+            rememberThumbnail(baseSrc, img);
+            // DOM tiles created when zooming back in can reuse the cached file (lod.js)
+            if (size > 0) rememberLoadedSize(baseSrc, size);
+            scheduleRender();
+        },
+        onFail: () => {
+            overviewState.loading.delete(baseSrc);
+            rememberThumbnail(baseSrc, null);
+        },
+        onCancel: () => overviewState.loading.delete(baseSrc)
+    });
+}
+
+/**
+ * Draw an image cropped to fill a rectangle (like object-fit: cover)
+ */
+function drawImageCover(ctx, img, x, y, w, h) {
+    const scale = Math.max(w / img.naturalWidth, h / img.naturalHeight);
+    const sourceWidth = w / scale;
+    const sourceHeight = h / scale;
+    ctx.drawImage(
+        img,
+        (img.naturalWidth - sourceWidth) / 2,
+        (img.naturalHeight - sourceHeight) / 2,
+        sourceWidth,
+        sourceHeight,
+        x, y, w, h
+    );
+}
+
+/**
+ * Paint the visible tiles in world coordinates
+ */
+function drawOverview() {
+    const canvas = getOverviewCanvas();
+    const dpr = window.devicePixelRatio || 1;
+    const width = Math.round(state.viewportWidth * dpr);
+    const height = Math.round(state.viewportHeight * dpr);
+    if (canvas.width !== width || canvas.height !== height) {
+        canvas.width = width;
+        canvas.height = height;
+    }
+
+    const ctx = canvas.getContext('2d');
+    if (!ctx) return;
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+    ctx.setTransform(dpr * state.zoom, 0, 0, dpr * state.zoom, dpr * state.panX, dpr * state.panY);
+
+    const bounds = getScreenWorldBounds();
+    const items = ITEM_INDEX.query(bounds).filter(item => itemIntersectsViewport(item, bounds));
+    const screenPixel = 1 / state.zoom; // One screen pixel in world units
+    ctx.lineWidth = 1; // Same 1px (world) border as .grid-item
+
+    items.forEach(item => {
+        const baseSrc = getOverviewSource(item);
+        const thumbnail = baseSrc && overviewState.thumbnails.get(baseSrc);
+        ctx.globalAlpha = isItemDimmed(item) ? FILTER_DIM_OPACITY : 1; // Filter in 'dim' mode (filter.js)
+
+        if (thumbnail) {
+            drawImageCover(ctx, thumbnail, item.x, item.y, item.w, item.h);
+        } else {
+            ctx.fillStyle = getOverviewSwatch(item);
+            ctx.fillRect(item.x, item.y, item.w, item.h);
+            if (baseSrc && thumbnail === undefined && !overviewState.loading.has(baseSrc)) {
+                loadThumbnail(baseSrc, item); // Nearest first, via the media queue (loader.js)
+            }
+        }
+        ctx.strokeStyle = '#3a3a3a';
+        ctx.strokeRect(item.x, item.y, item.w, item.h);
+
+        // Highlights stay visible at any zoom, so they use screen-pixel widths
+        const itemId = item.id.toString();
+        if (state.selectedItemIds.has(itemId)) {
+            ctx.fillStyle = 'rgba(77, 163, 255, 0.35)';
+            ctx.fillRect(item.x, item.y, item.w, item.h);
+        }
+        if (itemId === state.focusedItemId || state.selectedItemIds.has(itemId)) {
+            ctx.lineWidth = 2 * screenPixel;
+            ctx.strokeStyle = '#4da3ff';
+            ctx.strokeRect(item.x, item.y, item.w, item.h);
+            ctx.lineWidth = 1;
+        }
+    });
+    ctx.globalAlpha = 1;
+}
+
+/**
+ * Switch between DOM tiles and the canvas as the zoom crosses the threshold,
+ * and repaint the canvas while it is showing (called from render())
+ */
+function updateOverview() {
+    const shouldBeActive = overviewState.active
+        ? state.zoom < OVERVIEW_EXIT_ZOOM
+        : state.zoom < OVERVIEW_ENTER_ZOOM;
+
+    if (shouldBeActive && !overviewState.active) {
+        enterOverview();
+    } else if (!shouldBeActive && overviewState.active) {
+        leaveOverview();
+    }
+
+    if (overviewState.active || overviewState.leaving) {
+        drawOverview();
+    }
+}
+
+function enterOverview() {
+    clearTimeout(overviewState.leaveTimer);
+    overviewState.leaving = false;
+    overviewState.active = true;
+
+    // Paint first, so the canvas shows the same images as the tiles it replaces
+    seedThumbnailsFromDOM();
+    getOverviewCanvas().hidden = false;
+    viewport.classList.remove('overview-leaving');
+    console.log('🗺️ Overview mode on (canvas tiles)');
+}
+
+function leaveOverview() {
+    overviewState.active = false;
+    overviewState.leaving = true;
+
+    // New DOM tiles start transparent and fade in over the canvas
+    viewport.classList.add('overview-leaving');
+    requestAnimationFrame(() => viewport.classList.remove('overview-leaving'));
+
+    clearTimeout(overviewState.leaveTimer);
+    overviewState.leaveTimer = setTimeout(() => {
+        overviewState.leaving = false;
+        getOverviewCanvas().hidden = true;
+    }, OVERVIEW_FADE_MS);
+    console.log('🗺️ Overview mode off (DOM tiles)');
+}
@@ -0,0 +1,110 @@
+// MEGHTOSH Video Playback
+// Decides which rendered video tiles play. At most VIDEO_MAX_PLAYING run at once,
+// picked by on-screen size and closeness to the viewport centre; the rest stay
+// paused on their poster (or first frame). Only the hovered or focused video is
+// unmuted, and everything pauses while the tab is hidden.
+
+const VIDEO_MAX_PLAYING = 4; // Simultaneous decoders
+const VIDEO_MIN_SCREEN_AREA = 48 * 48; // Tiles smaller than this on screen never play
+
+const playbackState = {
+    hoveredItemId: null // Video tile under the pointer
+};
+
+/**
+ * How much a visible video deserves to play: its on-screen area, discounted by
+ * its distance from the viewport centre (up to half at the corners)
+ * @returns {number} Score, 0 when it shouldn't play at all
+ */
+function getVideoPlaybackScore(item, view) {
+    const visibleWidth = Math.min(item.x + item.w, view.right) - Math.max(item.x, view.left);
+    const visibleHeight = Math.min(item.y + item.h, view.bottom) - Math.max(item.y, view.top);
+    if (visibleWidth <= 0 || visibleHeight <= 0) return 0;
+
+    const screenArea = visibleWidth * visibleHeight * state.zoom * state.zoom;
+    if (screenArea < VIDEO_MIN_SCREEN_AREA) return 0;
+
+    const centerX = (view.left + view.right) / 2;
+    const centerY = (view.top + view.bottom) / 2;
+    const distance = Math.hypot(item.x + item.w / 2 - centerX, item.y + item.h / 2 - centerY);
+    const halfDiagonal = Math.hypot(view.right - view.left, view.bottom - view.top) / 2;
+    return screenArea * (1 - 0.5 * Math.min(1, distance / halfDiagonal));
+}
+
+/**
+ * Id of the video allowed to make sound: hovered first, then keyboard focus.
+ * Browsers block unmuted playback until the user has interacted with the page.
+ */
+function getAudibleItemId() {
+    if (document.hidden || lightboxState.isOpen) return null;
+    if (navigator.userActivation && !navigator.userActivation.hasBeenActive) return null;
+    return playbackState.hoveredItemId || state.focusedItemId;
+}
+
+/**
+ * Start the best-placed videos and pause the rest (called from syncDOM())
+ */
+function manageVideoPlayback() {
+    const view = getScreenWorldBounds();
+    const audibleId = getAudibleItemId();
+    const candidates = [];
+
+    renderedItems.forEach((element, itemId) => {
+        const video = element.querySelector('video[data-video-lazy]');
+        if (!video) return;
+
+        const item = ITEM_INDEX.get(itemId);
+        const score = item && !document.hidden ? getVideoPlaybackScore(item, view) : 0;
+        // The video with sound always gets a slot
+        candidates.push({ itemId, video, score: itemId === audibleId && score > 0 ? Infinity : score });
+    });
+
+    candidates.sort((a, b) => b.score - a.score);
+
+    candidates.forEach(({ itemId, video, score }, index) => {
+        const shouldPlay = score > 0 && index < VIDEO_MAX_PLAYING;
+        video.muted = itemId !== audibleId;
+
+        if (shouldPlay) {
+            if (video.paused && video.readyState === 0) {
+                video.preload = 'auto';
+                video.load();
+            }
+            video.play().catch(() => {
+                // Autoplay blocked - that's OK, it shows its poster
+            });
+        } else {
+            if (!video.paused) video.pause();
+            // Visible but waiting for a slot: show the poster, or fetch enough for the first frame
+            if (score > 0 && !video.poster && video.preload === 'none') {
+                video.preload = 'metadata';
+            }
+        }
+    });
+}
+
+// ============================================================================
+// Audio Focus & Page Visibility
+// ============================================================================
+
+function handleVideoHover(e) {
+    const gridItem = e.target.closest?.('.grid-item');
+    const itemId = gridItem && gridItem.querySelector('video') ? gridItem.dataset.itemId : null;
+    if (itemId === playbackState.hoveredItemId) return;
+
+    playbackState.hoveredItemId = itemId;
+    manageVideoPlayback();
+}
+
+function handleVideoHoverEnd(e) {
+    if (viewport.contains(e.relatedTarget)) return;
+    if (playbackState.hoveredItemId === null) return;
+    playbackState.hoveredItemId = null;
+    manageVideoPlayback();
+}
+
+viewport.addEventListener('pointerover', handleVideoHover);
+viewport.addEventListener('pointerout', handleVideoHoverEnd);
+
+// Pause everything in a background tab, pick up again when it comes back
+document.addEventListener('visibilitychange', manageVideoPlayback);
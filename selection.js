@@ -0,0 +1,326 @@
+// MEGHTOSH Selection
+// Shift/Ctrl-click and rubber-band selection, a selection bar, and batch
+// download of the selected items as one ZIP archive
+// Note: relies on state, renderedItems and helpers from app.js and ZipWriter from zip.js
+
+const selectionState = {
+    rubberBand: null, // {startX, startY, baseIds, pointerId} while dragging a selection rectangle
+    isDownloading: false,
+    elements: null
+};
+
+// ============================================================================
+// Selection Model
+// ============================================================================
+
+/**
+ * Replace the selection and refresh tile highlights and the selection bar
+ * @param {Set<string>} ids - Selected item ids
+ */
+function setSelection(ids) {
+    state.selectedItemIds = ids;
+    renderedItems.forEach((element, itemId) => {
+        element.classList.toggle('selected', ids.has(itemId));
+    });
+    updateSelectionBar();
+}
+
+function toggleItemSelection(item) {
+    const ids = new Set(state.selectedItemIds);
+    const itemId = item.id.toString();
+    if (ids.has(itemId)) {
+        ids.delete(itemId);
+    } else {
+        ids.add(itemId);
+    }
+    setSelection(ids);
+}
+
+function clearSelection() {
+    setSelection(new Set());
+}
+
+function getSelectedItems() {
+    return Array.from(state.selectedItemIds)
+        .map(itemId => findItemById(itemId))
+        .filter(Boolean);
+}
+
+// ============================================================================
+// Rubber-band Selection
+// ============================================================================
+
+function getSelectionRectElement() {
+    let rect = viewport.querySelector('.selection-rect');
+    if (!rect) {
+        rect = document.createElement('div');
+        rect.className = 'selection-rect';
+        viewport.appendChild(rect);
+    }
+    return rect;
+}
+
+/**
+ * Shift + drag draws a selection rectangle instead of panning
+ */
+function handleSelectionPointerDown(e) {
+    if (!e.shiftKey || (e.pointerType === 'mouse' && e.button !== 0)) return;
+
+    const point = getViewportPoint(e);
+    selectionState.rubberBand = {
+        pointerId: e.pointerId,
+        startX: point.x,
+        startY: point.y,
+        moved: false,
+        baseIds: new Set(state.selectedItemIds) // Shift-drag adds to the existing selection
+    };
+
+    // Keep app.js from starting a pan for this press
+    e.preventDefault();
+    e.stopImmediatePropagation();
+}
+
+function handleSelectionPointerMove(e) {
+    const band = selectionState.rubberBand;
+    if (!band || band.pointerId !== e.pointerId) return;
+
+    const point = getViewportPoint(e);
+    if (!band.moved && Math.hypot(point.x - band.startX, point.y - band.startY) <= TAP_MOVE_TOLERANCE) return;
+    band.moved = true;
+
+    const left = Math.min(band.startX, point.x);
+    const top = Math.min(band.startY, point.y);
+    const width = Math.abs(point.x - band.startX);
+    const height = Math.abs(point.y - band.startY);
+
+    const rect = getSelectionRectElement();
+    rect.style.display = 'block';
+    rect.style.left = `${left}px`;
+    rect.style.top = `${top}px`;
+    rect.style.width = `${width}px`;
+    rect.style.height = `${height}px`;
+
+    // Select everything the rectangle touches, in world coordinates
+    const topLeft = screenToWorld(left, top);
+    const bottomRight = screenToWorld(left + width, top + height);
+    const ids = new Set(band.baseIds);
+    ITEM_INDEX.query({
+        left: topLeft.x,
+        top: topLeft.y,
+        right: bottomRight.x,
+        bottom: bottomRight.y
+    }).forEach(item => ids.add(item.id.toString()));
+
+    setSelection(ids);
+    e.preventDefault();
+}
+
+function handleSelectionPointerUp(e) {
+    const band = selectionState.rubberBand;
+    if (!band || band.pointerId !== e.pointerId) return;
+
+    selectionState.rubberBand = null;
+    getSelectionRectElement().style.display = 'none';
+
+    // Shift-click without dragging toggles the tile under the pointer
+    if (!band.moved) {
+        const item = getEventItem(e);
+        if (item) toggleItemSelection(item);
+    }
+}
+
+/**
+ * Ctrl/Cmd-click toggles a tile without opening it
+ */
+function handleSelectionClick(e) {
+    if (!(e.ctrlKey || e.metaKey) || gestureMoved) return;
+
+    const item = getEventItem(e);
+    if (item) toggleItemSelection(item);
+}
+
+// ============================================================================
+// Selection Bar
+// ============================================================================
+
+function getSelectionBarElements() {
+    if (selectionState.elements) return selectionState.elements;
+
+    const bar = document.createElement('div');
+    bar.className = 'selection-bar';
+    bar.hidden = true;
+    bar.setAttribute('role', 'toolbar');
+    bar.setAttribute('aria-label', 'Selection');
+
+    const count = document.createElement('span');
+    count.className = 'selection-count';
+
+    const download = document.createElement('button');
+    download.type = 'button';
+    download.textContent = 'Download selected';
+    download.addEventListener('click', downloadSelectedAsZip);
+
+    const clear = document.createElement('button');
+    clear.type = 'button';
+    clear.textContent = 'Clear';
+    clear.addEventListener('click', clearSelection);
+
+    const status = document.createElement('span');
+    status.className = 'selection-status';
+    status.setAttribute('aria-live', 'polite');
+
+    const failures = document.createElement('details');
+    failures.className = 'selection-failures';
+    failures.hidden = true;
+
+    bar.append(count, download, clear, status, failures);
+    document.body.appendChild(bar);
+
+    selectionState.elements = { bar, count, download, clear, status, failures };
+    return selectionState.elements;
+}
+
+function updateSelectionBar() {
+    const { bar, count, download, clear } = getSelectionBarElements();
+    const size = state.selectedItemIds.size;
+
+    bar.hidden = size === 0 && !selectionState.isDownloading;
+    count.textContent = `${size} selected`;
+    download.disabled = size === 0 || selectionState.isDownloading;
+    clear.disabled = selectionState.isDownloading;
+}
+
+function setSelectionStatus(text) {
+    getSelectionBarElements().status.textContent = text;
+}
+
+/**
+ * List files that could not be added to the archive
+ */
+function showSelectionFailures(failures) {
+    const { failures: details } = getSelectionBarElements();
+    details.replaceChildren();
+    details.hidden = failures.length === 0;
+    if (failures.length === 0) return;
+
+    const summary = document.createElement('summary');
+    summary.textContent = `${failures.length} failed`;
+    const list = document.createElement('ul');
+    failures.forEach(({ item, error }) => {
+        const entry = document.createElement('li');
+        entry.textContent = `${getDownloadFilename(item, item.type === 'video' ? 'mp4' : 'jpg')}: ${error.message}`;
+        list.appendChild(entry);
+    });
+    details.append(summary, list);
+}
+
+// ============================================================================
+// Batch Download
+// ============================================================================
+
+/**
+ * Ask where to save the archive, so it is streamed to disk as it is written
+ * @param {string} filename - Suggested file name
+ * @returns {Promise<WritableStream|null>} null when the browser can't (the ZIP is then built in memory)
+ */
+async function openZipFile(filename) {
+    if (typeof window.showSaveFilePicker !== 'function') return null;
+
+    try {
+        const handle = await window.showSaveFilePicker({
+            suggestedName: filename,
+            types: [{ description: 'ZIP archive', accept: { 'application/zip': ['.zip'] } }]
+        });
+        return await handle.createWritable();
+    } catch (error) {
+        if (error.name === 'AbortError') throw error; // Save dialog was cancelled
+        // e.g. cross-origin embeds, where the picker isn't allowed
+        console.warn('⚠️ Could not open a file to save into, building the ZIP in memory:', error);
+        return null;
+    }
+}
+
+/**
+ * Fetch every selected item into a single ZIP and save it
+ */
+async function downloadSelectedAsZip() {
+    // Copies of the same photo (wrap-around mode) are only downloaded once
+    const seen = new Set();
+    const items = getSelectedItems().filter(item => {
+        const key = String(item.baseId ?? item.id);
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+    if (items.length === 0 || selectionState.isDownloading) return;
+
+    selectionState.isDownloading = true;
+    updateSelectionBar();
+    showSelectionFailures([]);
+
+    const stamp = new Date().toISOString().slice(0, 10);
+    const failures = [];
+    let zip = null;
+
+    try {
+        // Asked first, while the click still counts as a user gesture
+        const output = await openZipFile(`meghtosh-${stamp}-${items.length}-items.zip`);
+        zip = new ZipWriter(output);
+
+        for (let i = 0; i < items.length; i++) {
+            const item = items[i];
+            setSelectionStatus(`Adding ${i + 1} of ${items.length}…`);
+
+            try {
+                const { blob, extension } = await fetchMediaBlob(item);
+                await zip.addFile(getDownloadFilename(item, extension), blob);
+            } catch (error) {
+                if (error instanceof RangeError) {
+                    // The archive is full: list this and the remaining items as not added
+                    console.warn(`⚠️ ${error.message}`);
+                    items.slice(i).forEach(rest => failures.push({ item: rest, error }));
+                    break;
+                }
+                console.warn(`⚠️ Could not add item ${item.id} to ZIP:`, error);
+                failures.push({ item, error });
+            }
+        }
+
+        const saved = items.length - failures.length;
+        if (saved === 0) {
+            await zip.abort();
+            setSelectionStatus('Nothing could be downloaded');
+        } else {
+            if (failures.length > 0) {
+                // Keep a record of what is missing inside the archive too
+                const report = failures
+                    .map(({ item, error }) => `${item.src}\t${error.message}`)
+                    .join('\n');
+                await zip.addFile('FAILED.txt', new Blob([`${report}\n`], { type: 'text/plain' }));
+            }
+
+            const archive = await zip.finish();
+            if (archive) saveBlob(archive, `meghtosh-${stamp}-${saved}-items.zip`);
+            setSelectionStatus(`Saved ${saved} of ${items.length}`);
+            console.log(`✅ Downloaded ZIP with ${saved} items`);
+        }
+    } catch (error) {
+        if (!zip && error.name === 'AbortError') {
+            setSelectionStatus('Download cancelled');
+        } else {
+            console.error('❌ ZIP download failed:', error);
+            setSelectionStatus(`Download failed: ${error.message}`);
+            if (zip) await zip.abort(error).catch(() => {});
+        }
+    } finally {
+        selectionState.isDownloading = false;
+        showSelectionFailures(failures);
+        updateSelectionBar();
+    }
+}
+
+viewport.addEventListener('pointerdown', handleSelectionPointerDown, true);
+window.addEventListener('pointermove', handleSelectionPointerMove);
+window.addEventListener('pointerup', handleSelectionPointerUp);
+window.addEventListener('pointercancel', handleSelectionPointerUp);
+viewport.addEventListener('click', handleSelectionClick);
@@ -0,0 +1,186 @@
+// MEGHTOSH Spatial Index
+// Grid-bucket index over item rectangles plus an id→item map, so visibility
+// queries and id lookups cost what is on screen rather than total item count
+
+const SPATIAL_CELL_SIZE = 800; // World px per bucket (4x4 tiles at the default ITEM_SIZE)
+
+class SpatialIndex {
+    /**
+     * @param {number} cellSize - Bucket size in world pixels
+     * @param {number} defaultItemSize - Size used for items without w/h
+     */
+    constructor(cellSize = SPATIAL_CELL_SIZE, defaultItemSize = 200) {
+        this.cellSize = cellSize;
+        this.defaultItemSize = defaultItemSize;
+        this.clear();
+    }
+
+    /**
+     * Remove all items and reset bounds
+     */
+    clear() {
+        this.cells = new Map(); // Map<"col,row", Set<item>>
+        this.items = new Map(); // Map<itemId (string), item>
+        this.bounds = null;
+        this.boundsDirty = false;
+        this.version = (this.version || 0) + 1; // Bumped on every change, for cheap change detection
+    }
+
+    get size() {
+        return this.items.size;
+    }
+
+    /**
+     * Get an item by id (accepts numbers or dataset strings)
+     */
+    get(id) {
+        return this.items.get(String(id));
+    }
+
+    has(id) {
+        return this.items.has(String(id));
+    }
+
+    forEach(fn) {
+        this.items.forEach(item => fn(item));
+    }
+
+    /**
+     * Get the world rectangle occupied by an item
+     */
+    getItemRect(item) {
+        const w = item.w || this.defaultItemSize;
+        const h = item.h || this.defaultItemSize;
+        return { left: item.x, top: item.y, right: item.x + w, bottom: item.y + h };
+    }
+
+    /**
+     * Call fn for every bucket key overlapped by a rectangle
+     */
+    forEachCell(rect, fn) {
+        const minCol = Math.floor(rect.left / this.cellSize);
+        const maxCol = Math.floor(rect.right / this.cellSize);
+        const minRow = Math.floor(rect.top / this.cellSize);
+        const maxRow = Math.floor(rect.bottom / this.cellSize);
+
+        for (let row = minRow; row <= maxRow; row++) {
+            for (let col = minCol; col <= maxCol; col++) {
+                fn(`${col},${row}`);
+            }
+        }
+    }
+
+    /**
+     * Add an item (re-inserting an existing id replaces it)
+     */
+    insert(item) {
+        if (this.has(item.id)) {
+            this.remove(item.id);
+        }
+
+        const rect = this.getItemRect(item);
+        this.items.set(String(item.id), item);
+        this.version++;
+        this.forEachCell(rect, key => {
+            let cell = this.cells.get(key);
+            if (!cell) {
+                cell = new Set();
+                this.cells.set(key, cell);
+            }
+            cell.add(item);
+        });
+
+        if (!this.boundsDirty) {
+            this.extendBounds(rect);
+        }
+    }
+
+    insertAll(items) {
+        for (const item of items) {
+            this.insert(item);
+        }
+    }
+
+    /**
+     * Remove an item by id
+     */
+    remove(id) {
+        const item = this.get(id);
+        if (!item) return;
+
+        this.items.delete(String(id));
+        this.version++;
+        this.forEachCell(this.getItemRect(item), key => {
+            const cell = this.cells.get(key);
+            if (!cell) return;
+            cell.delete(item);
+            if (cell.size === 0) {
+                this.cells.delete(key);
+            }
+        });
+
+        // Shrinking bounds needs a full pass; defer it until someone asks
+        this.boundsDirty = true;
+    }
+
+    /**
+     * Find all items whose rectangles intersect the given bounds
+     * @param {Object} bounds - {left, top, right, bottom} in world coordinates
+     * @returns {Array} Matching items
+     */
+    query(bounds) {
+        const results = [];
+        const seen = new Set();
+
+        this.forEachCell(bounds, key => {
+            const cell = this.cells.get(key);
+            if (!cell) return;
+
+            for (const item of cell) {
+                if (seen.has(item)) continue;
+                seen.add(item);
+
+                const rect = this.getItemRect(item);
+                if (!(
+                    rect.right < bounds.left ||
+                    rect.left > bounds.right ||
+                    rect.bottom < bounds.top ||
+                    rect.top > bounds.bottom
+                )) {
+                    results.push(item);
+                }
+            }
+        });
+
+        return results;
+    }
+
+    extendBounds(rect) {
+        if (!this.bounds) {
+            this.bounds = { ...rect };
+            return;
+        }
+        this.bounds.left = Math.min(this.bounds.left, rect.left);
+        this.bounds.top = Math.min(this.bounds.top, rect.top);
+        this.bounds.right = Math.max(this.bounds.right, rect.right);
+        this.bounds.bottom = Math.max(this.bounds.bottom, rect.bottom);
+    }
+
+    /**
+     * Get the world extent of all indexed items
+     * @returns {Object|null} {left, top, right, bottom} or null when empty
+     */
+    getBounds() {
+        if (this.boundsDirty) {
+            this.bounds = null;
+            this.boundsDirty = false;
+            this.items.forEach(item => this.extendBounds(this.getItemRect(item)));
+        }
+        return this.bounds;
+    }
+}
+
+// Node.js (headless use with engine.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SpatialIndex, SPATIAL_CELL_SIZE };
+}
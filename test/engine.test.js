@@ -0,0 +1,181 @@
+// MEGHTOSH engine.js tests
+// The virtualization core runs headless: a spatial index of grid tiles and a
+// plain camera object stand in for the page.
+//
+//   node --test test/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SpatialIndex } = require('../spatial-index.js');
+const { TileVirtualizer, diffGridCells, getViewportWorldBounds } = require('../engine.js');
+
+const TILE = 100;
+
+/**
+ * Index a columns x rows grid of TILE-sized tiles; ids are "col,row"
+ */
+function createGridIndex(columns, rows) {
+    const index = new SpatialIndex(400, TILE);
+    for (let row = 0; row < rows; row++) {
+        for (let col = 0; col < columns; col++) {
+            index.insert({ id: `${col},${row}`, x: col * TILE, y: row * TILE, w: TILE, h: TILE });
+        }
+    }
+    return index;
+}
+
+function createCamera(panX, panY, zoom = 1) {
+    return { panX, panY, zoom, viewportWidth: 400, viewportHeight: 300 };
+}
+
+const ids = items => items.map(item => String(item.id)).sort();
+
+test('getViewportWorldBounds converts the viewport through pan and zoom', () => {
+    assert.deepEqual(getViewportWorldBounds(createCamera(-100, -50, 2), 10), {
+        left: 40, top: 15, right: 260, bottom: 185
+    });
+});
+
+test('update reports the tiles to add on the first render', () => {
+    const virtualizer = new TileVirtualizer(createGridIndex(20, 20));
+    const diff = virtualizer.update(createCamera(-50, -50));
+
+    // World 50..450 x 50..350, edges included: columns 0-4, rows 0-3
+    assert.equal(diff.add.length, 20);
+    assert.deepEqual(ids(diff.add), ids(diff.visible));
+    assert.deepEqual(diff.remove, []);
+    assert.deepEqual(diff.move, []);
+});
+
+test('update only reports what changed when the camera doesn\'t move', () => {
+    const virtualizer = new TileVirtualizer(createGridIndex(20, 20));
+    virtualizer.update(createCamera(-50, -50));
+    const diff = virtualizer.update(createCamera(-50, -50));
+
+    assert.equal(diff.visible.length, 20);
+    assert.deepEqual(diff.add, []);
+    assert.deepEqual(diff.remove, []);
+    assert.deepEqual(diff.move, []);
+});
+
+test('panning adds the column coming into view and removes the one leaving', () => {
+    const virtualizer = new TileVirtualizer(createGridIndex(20, 20));
+    virtualizer.update(createCamera(-50, -50));
+    const diff = virtualizer.update(createCamera(-150, -50));
+
+    // World 150..550: column 0 leaves, column 5 comes in
+    assert.deepEqual(ids(diff.add), ['5,0', '5,1', '5,2', '5,3']);
+    assert.deepEqual(diff.remove.sort(), ['0,0', '0,1', '0,2', '0,3']);
+    assert.deepEqual(diff.move, []);
+});
+
+test('zooming out adds tiles and zooming back in removes them again', () => {
+    const virtualizer = new TileVirtualizer(createGridIndex(20, 20));
+    const before = virtualizer.update(createCamera(-50, -50));
+
+    const zoomedOut = virtualizer.update(createCamera(-25, -25, 0.5));
+    // World 50..850 x 50..650: columns 0-8, rows 0-6
+    assert.equal(zoomedOut.visible.length, 63);
+    assert.equal(zoomedOut.add.length, 63 - 20);
+    assert.deepEqual(zoomedOut.remove, []);
+
+    const zoomedIn = virtualizer.update(createCamera(-50, -50));
+    assert.deepEqual(zoomedIn.add, []);
+    assert.equal(zoomedIn.remove.length, 63 - 20);
+    assert.deepEqual(ids(zoomedIn.visible), ids(before.visible));
+});
+
+test('update reports re-laid out tiles as moved', () => {
+    const index = createGridIndex(20, 20);
+    const virtualizer = new TileVirtualizer(index);
+    virtualizer.update(createCamera(-50, -50));
+
+    const item = index.get('1,1');
+    index.remove('1,1');
+    index.insert({ ...item, x: item.x + 10 });
+    const diff = virtualizer.update(createCamera(-50, -50));
+
+    assert.deepEqual(ids(diff.move), ['1,1']);
+    assert.deepEqual(diff.add, []);
+    assert.deepEqual(diff.remove, []);
+});
+
+test('update(null) removes everything and reset forgets it', () => {
+    const virtualizer = new TileVirtualizer(createGridIndex(20, 20));
+    virtualizer.update(createCamera(-50, -50));
+
+    assert.equal(virtualizer.update(null).remove.length, 20);
+    virtualizer.update(createCamera(-50, -50));
+    virtualizer.reset();
+    assert.equal(virtualizer.update(createCamera(-50, -50)).add.length, 20);
+});
+
+test('maxNodes trims the buffer ring to the tiles nearest the centre', () => {
+    const index = createGridIndex(20, 20);
+    const camera = createCamera(-550, -550);
+    const onScreen = new TileVirtualizer(index).update(camera).visible;
+    const buffered = new TileVirtualizer(index, { buffer: 2 * TILE }).update(camera).visible;
+
+    // World 550..950 x 550..850 is 5 x 4 tiles on screen, 9 x 8 with the buffer
+    assert.equal(onScreen.length, 20);
+    assert.equal(buffered.length, 72);
+
+    const capped = new TileVirtualizer(index, { buffer: 2 * TILE, maxNodes: 30 });
+    const diff = capped.update(camera);
+    assert.equal(diff.visible.length, 30);
+    assert.ok(ids(onScreen).every(id => ids(diff.visible).includes(id)));
+
+    // The kept buffer tiles are the nearest ones: none of the outer ring
+    const extra = diff.visible.filter(item => !ids(onScreen).includes(String(item.id)));
+    assert.equal(extra.length, 10);
+    extra.forEach(item => {
+        assert.ok(item.x >= 400 && item.x <= 1000 && item.y >= 400 && item.y <= 900, `${item.id} is in the inner ring`);
+    });
+});
+
+test('maxNodes never drops tiles that are on screen', () => {
+    const capped = new TileVirtualizer(createGridIndex(20, 20), { buffer: 2 * TILE, maxNodes: 5 });
+    const diff = capped.update(createCamera(-550, -550));
+
+    assert.equal(diff.visible.length, 20);
+});
+
+test('maxNodes eviction removes buffer tiles that lose their place', () => {
+    const virtualizer = new TileVirtualizer(createGridIndex(20, 20), { buffer: 2 * TILE, maxNodes: 30 });
+    const first = virtualizer.update(createCamera(-550, -550));
+    const diff = virtualizer.update(createCamera(-650, -550));
+
+    assert.equal(diff.visible.length, 30);
+    assert.equal(first.visible.length - diff.remove.length + diff.add.length, 30);
+    assert.ok(diff.remove.length > 0);
+    assert.ok(diff.remove.every(id => !ids(diff.visible).includes(id)));
+});
+
+test('diffGridCells adds every cell under the bounds when nothing is loaded', () => {
+    const { add, remove } = diffGridCells([], { left: 0, top: 0, right: 250, bottom: 150 }, 100, 100);
+
+    assert.deepEqual(add.map(cell => cell.key), ['0,0', '1,0', '2,0', '0,1', '1,1', '2,1']);
+    assert.deepEqual(add[4], { i: 1, j: 1, key: '1,1' });
+    assert.deepEqual(remove, []);
+});
+
+test('diffGridCells handles negative coordinates', () => {
+    const { add } = diffGridCells([], { left: -150, top: -50, right: -10, bottom: 10 }, 100, 100);
+
+    assert.deepEqual(add.map(cell => cell.key), ['-2,-1', '-1,-1', '-2,0', '-1,0']);
+});
+
+test('diffGridCells only adds cells that are not loaded yet', () => {
+    const { add, remove } = diffGridCells(['0,0', '1,0'], { left: 50, top: 50, right: 150, bottom: 80 }, 100, 100);
+
+    assert.deepEqual(add, []);
+    assert.deepEqual(remove, []);
+});
+
+test('diffGridCells drops loaded cells beyond the keep margin', () => {
+    const loaded = ['0,0', '1,0', '2,0', '3,0', '5,5'];
+    const bounds = { left: 0, top: 0, right: 50, bottom: 50 };
+
+    assert.deepEqual(diffGridCells(loaded, bounds, 100, 100).remove, ['1,0', '2,0', '3,0', '5,5']);
+    assert.deepEqual(diffGridCells(loaded, bounds, 100, 100, 2).remove, ['3,0', '5,5']);
+});
@@ -0,0 +1,156 @@
+// MEGHTOSH extract-photos.js tests
+// A local HTTP server stands in for Google Photos and serves saved album pages
+// (test/fixtures), so the tool runs end to end without network access.
+//
+//   node --test test/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { assignAlbumIds, run } = require('../extract-photos.js');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+/**
+ * Start the stand-in: /short/<name> redirects like photos.app.goo.gl links,
+ * /album/<name> serves fixtures/<page>.html (pages can be swapped between runs)
+ * @returns {Promise<Object>} {baseUrl, pages, close}
+ */
+function startAlbumServer() {
+    const pages = { trip: 'album-trip', friends: 'album-friends' };
+    const server = http.createServer((req, res) => {
+        const [, kind, name] = req.url.split('/');
+        if (kind === 'short' && pages[name]) {
+            res.writeHead(302, { Location: `/album/${name}` });
+            res.end();
+        } else if (kind === 'album' && pages[name]) {
+            res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+            res.end(fs.readFileSync(path.join(FIXTURES, `${pages[name]}.html`)));
+        } else {
+            res.writeHead(404);
+            res.end();
+        }
+    });
+
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => {
+            resolve({
+                baseUrl: `http://127.0.0.1:${server.address().port}`,
+                pages,
+                close: () => new Promise(done => server.close(done))
+            });
+        });
+    });
+}
+
+/**
+ * Run the tool like the command line would, quietly
+ */
+async function extract(options) {
+    const log = console.log;
+    const error = console.error;
+    console.log = () => {};
+    console.error = () => {};
+    try {
+        return await run({ albums: [], albumsFile: null, merge: false, keepRemoved: false, maxRedirects: 5, ...options });
+    } finally {
+        console.log = log;
+        console.error = error;
+    }
+}
+
+function findBySuffix(items, suffix) {
+    return items.find(item => item.src.endsWith(suffix));
+}
+
+test('extracts photos and videos from saved album pages behind short links', async (t) => {
+    const albumServer = await startAlbumServer();
+    t.after(albumServer.close);
+
+    const { manifest, summary, failedAlbums } = await extract({
+        albums: [{ id: null, url: `${albumServer.baseUrl}/short/trip` }],
+        out: path.join(os.tmpdir(), 'unused.json')
+    });
+
+    assert.deepEqual(failedAlbums, []);
+    assert.deepEqual(manifest.albums, [{ id: 'drive1', url: `${albumServer.baseUrl}/short/trip` }]);
+    assert.equal(summary.added, 4);
+    // No album cover, profile pictures or second size of Trip001
+    assert.deepEqual(manifest.items.map(item => [item.type, item.src]), [
+        ['photo', 'https://lh3.googleusercontent.com/pw/AP1GczTrip001'],
+        ['photo', 'https://lh3.googleusercontent.com/pw/AP1GczTrip002'],
+        ['photo', 'https://lh3.googleusercontent.com/pw/AP1GczTrip003'],
+        ['video', 'https://video.googleusercontent.com/waterfall.mp4?authuser=0']
+    ]);
+    assert.ok(manifest.items.every(item => item.album === 'drive1'));
+});
+
+test('--merge keeps ids and items of albums that were not scanned again', async (t) => {
+    const albumServer = await startAlbumServer();
+    t.after(albumServer.close);
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'meghtosh-extract-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const out = path.join(dir, 'photos-data.json');
+    const tripUrl = `${albumServer.baseUrl}/short/trip`;
+    const friendsUrl = `${albumServer.baseUrl}/short/friends`;
+
+    const first = await extract({ albums: [{ id: null, url: tripUrl }, { id: null, url: friendsUrl }], out });
+    fs.writeFileSync(out, JSON.stringify(first.manifest));
+    const trip001 = findBySuffix(first.manifest.items, 'AP1GczTrip001');
+    const friends001 = findBySuffix(first.manifest.items, 'AP1GczFriends001');
+
+    // Only the trip album is scanned again, after it changed
+    albumServer.pages.trip = 'album-trip-updated';
+    const { manifest, summary } = await extract({ albums: [{ id: null, url: tripUrl }], out, merge: true });
+
+    assert.equal(summary.added, 1); // Trip004
+    assert.equal(summary.removed, 1); // Trip002, gone from the scanned album
+    assert.equal(summary.carried, 2); // The friends album
+    assert.equal(findBySuffix(manifest.items, 'AP1GczTrip001').id, trip001.id);
+    assert.equal(findBySuffix(manifest.items, 'AP1GczTrip002'), undefined);
+    assert.deepEqual(findBySuffix(manifest.items, 'AP1GczFriends001'), friends001);
+    assert.deepEqual(manifest.albums.map(album => album.id), ['drive1', 'drive2']);
+});
+
+test('--merge keeps items of albums that could not be fetched', async (t) => {
+    const albumServer = await startAlbumServer();
+    t.after(albumServer.close);
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'meghtosh-extract-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const out = path.join(dir, 'photos-data.json');
+    const friendsUrl = `${albumServer.baseUrl}/short/friends`;
+
+    const first = await extract({ albums: [{ id: null, url: friendsUrl }], out });
+    fs.writeFileSync(out, JSON.stringify(first.manifest));
+
+    delete albumServer.pages.friends; // Album link now answers 404
+    const { manifest, summary, failedAlbums } = await extract({ albums: [{ id: null, url: friendsUrl }], out, merge: true });
+
+    assert.equal(failedAlbums.length, 1);
+    assert.equal(summary.removed, 0);
+    assert.deepEqual(manifest.items, first.manifest.items);
+});
+
+test('generated album ids never take an id given explicitly later in the list', () => {
+    const albums = assignAlbumIds([
+        { id: null, url: 'https://photos.app.goo.gl/a' },
+        { id: 'drive1', url: 'https://photos.app.goo.gl/b' },
+        { id: null, url: 'https://photos.app.goo.gl/c' }
+    ], [{ id: 'drive2', url: 'https://photos.app.goo.gl/old' }]);
+
+    assert.deepEqual(albums.map(album => album.id), ['drive3', 'drive1', 'drive4']);
+});
+
+test('known album links keep their id', () => {
+    const albums = assignAlbumIds(
+        [{ id: null, url: 'https://photos.app.goo.gl/b' }, { id: null, url: 'https://photos.app.goo.gl/a' }],
+        [{ id: 'drive1', url: 'https://photos.app.goo.gl/a' }]
+    );
+
+    assert.deepEqual(albums.map(album => album.id), ['drive2', 'drive1']);
+});
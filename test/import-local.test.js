@@ -0,0 +1,546 @@
+// MEGHTOSH import-local.js tests
+// Media headers are generated byte by byte here (EXIF/TIFF, JPEG, PNG, WebP,
+// MP4), so every reader is covered without binary fixtures.
+//
+//   node --test test/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    readExif,
+    readJpegInfo,
+    readPngInfo,
+    readWebpInfo,
+    readMp4Info,
+    readMediaInfo,
+    buildManifest
+} = require('../import-local.js');
+
+// ============================================================================
+// Builders
+// ============================================================================
+
+const TIFF_TYPE_SIZES = { 2: 1, 3: 2, 4: 4, 5: 8 };
+
+/**
+ * Encode one IFD value: type 2 ASCII, 3 SHORT, 4 LONG, 5 RATIONAL ([numerator, denominator] pairs)
+ */
+function encodeTiffValue(type, value, little) {
+    if (type === 2) return Buffer.from(`${value}\0`, 'latin1');
+
+    const values = Array.isArray(value) ? value : [value];
+    const buffer = Buffer.alloc(values.length * TIFF_TYPE_SIZES[type]);
+    const write = (method, number, offset) => buffer[`${method}${little ? 'LE' : 'BE'}`](number, offset);
+    values.forEach((entry, n) => {
+        if (type === 3) write('writeUInt16', entry, n * 2);
+        if (type === 4) write('writeUInt32', entry, n * 4);
+        if (type === 5) {
+            write('writeUInt32', entry[0], n * 8);
+            write('writeUInt32', entry[1], n * 8 + 4);
+        }
+    });
+    return buffer;
+}
+
+/**
+ * TIFF block as found after "Exif\0\0": IFD0 plus optional Exif and GPS IFDs
+ * @param {Object} ifds - {ifd0, exif, gps}: arrays of [tag, type, value]
+ * @param {boolean} little - "II" (true) or "MM" byte order
+ */
+function buildTiff({ ifd0 = [], exif = null, gps = null }, little = true) {
+    const ifds = [[...ifd0]];
+    if (exif) ifds[0].push([0x8769, 4, 0]);
+    if (gps) ifds[0].push([0x8825, 4, 0]);
+    if (exif) ifds.push(exif);
+    if (gps) ifds.push(gps);
+
+    const encoded = ifds.map(entries => entries.map(([tag, type, value]) => {
+        const data = encodeTiffValue(type, value, little);
+        const count = type === 2 ? data.length : data.length / TIFF_TYPE_SIZES[type];
+        return { tag, type, count, data };
+    }));
+    const sizeOf = entries => 2 + entries.length * 12 + 4 +
+        entries.reduce((sum, { data }) => sum + (data.length > 4 ? data.length + (data.length % 2) : 0), 0);
+
+    const offsets = [];
+    let total = 8;
+    encoded.forEach(entries => {
+        offsets.push(total);
+        total += sizeOf(entries);
+    });
+
+    // Point IFD0 at the sub-IFDs
+    let next = 1;
+    encoded[0].forEach(entry => {
+        if (entry.tag === 0x8769 || entry.tag === 0x8825) {
+            entry.data = encodeTiffValue(4, offsets[next++], little);
+        }
+    });
+
+    const buffer = Buffer.alloc(total);
+    const u16 = (number, offset) => (little ? buffer.writeUInt16LE(number, offset) : buffer.writeUInt16BE(number, offset));
+    const u32 = (number, offset) => (little ? buffer.writeUInt32LE(number, offset) : buffer.writeUInt32BE(number, offset));
+    buffer.write(little ? 'II' : 'MM', 0, 'latin1');
+    u16(42, 2);
+    u32(offsets[0], 4);
+
+    encoded.forEach((entries, index) => {
+        const start = offsets[index];
+        let dataOffset = start + 2 + entries.length * 12 + 4;
+        u16(entries.length, start);
+        entries.forEach(({ tag, type, count, data }, n) => {
+            const entry = start + 2 + n * 12;
+            u16(tag, entry);
+            u16(type, entry + 2);
+            u32(count, entry + 4);
+            if (data.length <= 4) {
+                data.copy(buffer, entry + 8);
+            } else {
+                u32(dataOffset, entry + 8);
+                data.copy(buffer, dataOffset);
+                dataOffset += data.length + (data.length % 2);
+            }
+        });
+    });
+    return buffer;
+}
+
+function jpegSegment(marker, data) {
+    const header = Buffer.from([0xFF, marker, 0, 0]);
+    header.writeUInt16BE(data.length + 2, 2);
+    return Buffer.concat([header, data]);
+}
+
+/**
+ * Baseline JPEG header: APP0, optional APP1 Exif, SOF0, then the start of scan
+ */
+function buildJpeg({ width, height, tiff = null }) {
+    const frame = Buffer.from([8, 0, 0, 0, 0, 1, 1, 0x11, 0]);
+    frame.writeUInt16BE(height, 1);
+    frame.writeUInt16BE(width, 3);
+    return Buffer.concat([
+        Buffer.from([0xFF, 0xD8]),
+        jpegSegment(0xE0, Buffer.from('JFIF\0\x01\x01\0\0\x01\0\x01\0\0', 'latin1')),
+        ...(tiff ? [jpegSegment(0xE1, Buffer.concat([Buffer.from('Exif\0\0', 'latin1'), tiff]))] : []),
+        jpegSegment(0xC0, frame),
+        jpegSegment(0xDA, Buffer.from([1, 1, 0, 0, 0x3F, 0])),
+        Buffer.alloc(64, 0x55),
+        Buffer.from([0xFF, 0xD9])
+    ]);
+}
+
+function pngChunk(type, data) {
+    const header = Buffer.alloc(8);
+    header.writeUInt32BE(data.length, 0);
+    header.write(type, 4, 'latin1');
+    return Buffer.concat([header, data, Buffer.alloc(4)]); // CRC isn't checked
+}
+
+function buildPng({ width, height, tiff = null }) {
+    const ihdr = Buffer.from([0, 0, 0, 0, 0, 0, 0, 0, 8, 2, 0, 0, 0]);
+    ihdr.writeUInt32BE(width, 0);
+    ihdr.writeUInt32BE(height, 4);
+    return Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+        pngChunk('IHDR', ihdr),
+        ...(tiff ? [pngChunk('eXIf', tiff)] : []),
+        pngChunk('IDAT', Buffer.alloc(32)),
+        pngChunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+function riffChunk(type, data) {
+    const header = Buffer.alloc(8);
+    header.write(type, 0, 'latin1');
+    header.writeUInt32LE(data.length, 4);
+    return Buffer.concat([header, data, Buffer.alloc(data.length % 2)]);
+}
+
+function buildWebp(chunks) {
+    const body = Buffer.concat([Buffer.from('WEBP', 'latin1'), ...chunks]);
+    const header = Buffer.alloc(8);
+    header.write('RIFF', 0, 'latin1');
+    header.writeUInt32LE(body.length, 4);
+    return Buffer.concat([header, body]);
+}
+
+// Lossy key frame header: frame tag, start code, 14-bit width/height
+function vp8Chunk(width, height) {
+    const data = Buffer.from([0x9D, 0x01, 0x00, 0x9D, 0x01, 0x2A, 0, 0, 0, 0, 0, 0]);
+    data.writeUInt16LE(width, 6);
+    data.writeUInt16LE(height, 8);
+    return riffChunk('VP8 ', data);
+}
+
+// Lossless header: signature byte, then (width - 1) and (height - 1) in 14 bits each
+function vp8lChunk(width, height) {
+    const data = Buffer.alloc(8);
+    data[0] = 0x2F;
+    data.writeUInt32LE(((width - 1) | ((height - 1) << 14)) >>> 0, 1);
+    return riffChunk('VP8L', data);
+}
+
+function vp8xChunk(width, height) {
+    const data = Buffer.alloc(10);
+    data[0] = 0x08; // EXIF flag
+    data.writeUIntLE(width - 1, 4, 3);
+    data.writeUIntLE(height - 1, 7, 3);
+    return riffChunk('VP8X', data);
+}
+
+function mp4Box(type, ...children) {
+    const body = Buffer.concat(children);
+    const header = Buffer.alloc(8);
+    header.writeUInt32BE(body.length + 8, 0);
+    header.write(type, 4, 'latin1');
+    return Buffer.concat([header, body]);
+}
+
+// Version 0 movie header with a creation time in seconds since 1904
+function mvhdBox(created) {
+    const data = Buffer.alloc(100);
+    data.writeUInt32BE(created, 4);
+    return mp4Box('mvhd', data);
+}
+
+// Version 0 track header; rotated tracks have a 90 degree display matrix
+function tkhdBox(width, height, rotated = false) {
+    const data = Buffer.alloc(84);
+    const [a, b, c, d] = rotated ? [0, 0x10000, -0x10000, 0] : [0x10000, 0, 0, 0x10000];
+    data.writeInt32BE(a, 40);
+    data.writeInt32BE(b, 44);
+    data.writeInt32BE(c, 52);
+    data.writeInt32BE(d, 56);
+    data.writeInt32BE(0x40000000, 72);
+    data.writeUInt32BE(width * 65536, 76);
+    data.writeUInt32BE(height * 65536, 80);
+    return mp4Box('tkhd', data);
+}
+
+function xyzBox(text) {
+    return mp4Box('©xyz', Buffer.from([0, text.length, 0x15, 0xC7]), Buffer.from(text, 'latin1'));
+}
+
+const MP4_EPOCH_OFFSET = 2082844800;
+const FTYP = mp4Box('ftyp', Buffer.from('isom\0\0\x02\0isomiso2mp41', 'latin1'));
+
+/**
+ * Write files into a fresh temporary folder, removed after the test
+ */
+function createFolder(t, files) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'meghtosh-import-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    Object.entries(files).forEach(([name, contents]) => fs.writeFileSync(path.join(dir, name), contents));
+    return dir;
+}
+
+// ============================================================================
+// EXIF
+// ============================================================================
+
+const CAMERA_EXIF = {
+    ifd0: [[0x0112, 3, 1], [0x0132, 2, '2024:01:01 00:00:00']],
+    exif: [[0x9003, 2, '2025:03:14 23:10:05'], [0x9011, 2, '-08:00']],
+    gps: [
+        [1, 2, 'N'], [2, 5, [[25, 1], [16, 1], [1272, 100]]],
+        [3, 2, 'E'], [4, 5, [[91, 1], [43, 1], [5628, 100]]]
+    ]
+};
+
+test('readExif reads capture time with its offset, GPS and orientation (little endian)', () => {
+    const info = readExif(buildTiff(CAMERA_EXIF), 0);
+
+    assert.deepEqual(info, {
+        orientation: 1,
+        takenAt: '2025-03-14T23:10:05-08:00',
+        location: { lat: 25.2702, lng: 91.7323 }
+    });
+});
+
+test('readExif reads big-endian TIFF and southern/western coordinates', () => {
+    const info = readExif(buildTiff({
+        exif: [[0x9003, 2, '2023:07:01 08:00:00']],
+        gps: [[1, 2, 'S'], [2, 5, [[33, 1], [52, 1], [0, 1]]], [3, 2, 'W'], [4, 5, [[70, 1], [30, 1], [0, 1]]]]
+    }, false), 0);
+
+    // No OffsetTimeOriginal: local wall clock time
+    assert.equal(info.takenAt, '2023-07-01T08:00:00');
+    assert.deepEqual(info.location, { lat: -33.866667, lng: -70.5 });
+});
+
+test('readExif falls back to DateTime and skips placeholder dates and null island', () => {
+    const fallback = readExif(buildTiff({ ifd0: [[0x0132, 2, '2022:12:24 18:30:00']] }), 0);
+    assert.equal(fallback.takenAt, '2022-12-24T18:30:00');
+
+    const empty = readExif(buildTiff({
+        exif: [[0x9003, 2, '0000:00:00 00:00:00']],
+        gps: [[1, 2, 'N'], [2, 5, [[0, 1], [0, 1], [0, 1]]], [3, 2, 'E'], [4, 5, [[0, 1], [0, 1], [0, 1]]]]
+    }), 0);
+    assert.deepEqual(empty, {});
+});
+
+test('readExif ignores a bad byte order and survives truncated data', () => {
+    assert.deepEqual(readExif(Buffer.from('XX\0*\0\0\0\x08', 'latin1'), 0), {});
+    assert.deepEqual(readExif(Buffer.from('II*\0', 'latin1'), 0), {});
+
+    // Cut inside the Exif IFD: what was read before the cut is kept
+    const tiff = buildTiff(CAMERA_EXIF);
+    for (let length = 0; length < tiff.length; length++) {
+        assert.doesNotThrow(() => readExif(tiff.subarray(0, length), 0), `cut at ${length}`);
+    }
+});
+
+// ============================================================================
+// JPEG
+// ============================================================================
+
+test('readJpegInfo reads the size from SOF0 and metadata from APP1', () => {
+    const info = readJpegInfo(buildJpeg({ width: 4032, height: 3024, tiff: buildTiff(CAMERA_EXIF) }));
+
+    assert.equal(info.width, 4032);
+    assert.equal(info.height, 3024);
+    assert.equal(info.takenAt, '2025-03-14T23:10:05-08:00');
+    assert.deepEqual(info.location, { lat: 25.2702, lng: 91.7323 });
+});
+
+test('readJpegInfo swaps width and height for rotated orientations', () => {
+    const rotated = buildTiff({ ifd0: [[0x0112, 3, 6]] });
+    const info = readJpegInfo(buildJpeg({ width: 4032, height: 3024, tiff: rotated }));
+
+    assert.equal(info.width, 3024);
+    assert.equal(info.height, 4032);
+});
+
+test('readJpegInfo reads progressive frames and skips fill bytes', () => {
+    const jpeg = buildJpeg({ width: 640, height: 480 });
+    jpeg[jpeg.indexOf(Buffer.from([0xFF, 0xC0])) + 1] = 0xC2;
+    const filled = Buffer.concat([jpeg.subarray(0, 2), Buffer.from([0xFF, 0xFF]), jpeg.subarray(2)]);
+
+    assert.deepEqual(readJpegInfo(jpeg), { width: 640, height: 480 });
+    assert.deepEqual(readJpegInfo(filled), { width: 640, height: 480 });
+});
+
+test('readJpegInfo rejects other files and survives truncated ones', () => {
+    assert.throws(() => readJpegInfo(Buffer.from('GIF89a')), /Not a JPEG/);
+    assert.throws(() => readJpegInfo(Buffer.alloc(1)), /Not a JPEG/);
+    assert.deepEqual(readJpegInfo(Buffer.from([0xFF, 0xD8])), {});
+
+    const jpeg = buildJpeg({ width: 640, height: 480, tiff: buildTiff(CAMERA_EXIF) });
+    for (let length = 2; length < jpeg.length; length++) {
+        assert.doesNotThrow(() => readJpegInfo(jpeg.subarray(0, length)), `cut at ${length}`);
+    }
+});
+
+// ============================================================================
+// PNG
+// ============================================================================
+
+test('readPngInfo reads IHDR and an eXIf chunk', () => {
+    const info = readPngInfo(buildPng({ width: 1920, height: 1080, tiff: buildTiff(CAMERA_EXIF) }));
+
+    assert.equal(info.width, 1920);
+    assert.equal(info.height, 1080);
+    assert.equal(info.takenAt, '2025-03-14T23:10:05-08:00');
+});
+
+test('readPngInfo rejects other files and has no size when IHDR is cut off', () => {
+    assert.throws(() => readPngInfo(Buffer.from('not a png at all')), /Not a PNG/);
+    assert.deepEqual(readPngInfo(buildPng({ width: 10, height: 10 }).subarray(0, 20)), {});
+});
+
+// ============================================================================
+// WebP
+// ============================================================================
+
+test('readWebpInfo reads lossy (VP8), lossless (VP8L) and extended (VP8X) files', () => {
+    assert.deepEqual(readWebpInfo(buildWebp([vp8Chunk(800, 600)])), { width: 800, height: 600 });
+    assert.deepEqual(readWebpInfo(buildWebp([vp8lChunk(1024, 768)])), { width: 1024, height: 768 });
+
+    const extended = readWebpInfo(buildWebp([
+        vp8xChunk(4000, 3000),
+        vp8Chunk(4000, 3000),
+        riffChunk('EXIF', buildTiff(CAMERA_EXIF))
+    ]));
+    assert.equal(extended.width, 4000);
+    assert.equal(extended.height, 3000);
+    assert.equal(extended.takenAt, '2025-03-14T23:10:05-08:00');
+});
+
+test('readWebpInfo accepts EXIF chunks with the JPEG-style prefix', () => {
+    const tiff = Buffer.concat([Buffer.from('Exif\0\0', 'latin1'), buildTiff(CAMERA_EXIF)]);
+    const info = readWebpInfo(buildWebp([vp8xChunk(10, 20), riffChunk('EXIF', tiff)]));
+
+    assert.equal(info.takenAt, '2025-03-14T23:10:05-08:00');
+    assert.equal(info.width, 10);
+});
+
+test('readWebpInfo rejects other files and skips corrupt or cut off image chunks', () => {
+    assert.throws(() => readWebpInfo(Buffer.from('RIFF\0\0\0\0WAVEfmt ')), /Not a WebP/);
+
+    const corrupt = vp8Chunk(800, 600);
+    corrupt[8 + 3] = 0; // Broken start code
+    assert.deepEqual(readWebpInfo(buildWebp([corrupt])), {});
+
+    const webp = buildWebp([vp8xChunk(4000, 3000), riffChunk('EXIF', buildTiff(CAMERA_EXIF))]);
+    for (let length = 12; length < webp.length; length++) {
+        assert.doesNotThrow(() => readWebpInfo(webp.subarray(0, length)), `cut at ${length}`);
+    }
+});
+
+// ============================================================================
+// MP4
+// ============================================================================
+
+test('readMp4Info reads creation time, track size and location from moov', (t) => {
+    const created = Date.UTC(2025, 2, 14, 10, 0, 0) / 1000 + MP4_EPOCH_OFFSET;
+    const moov = mp4Box('moov',
+        mvhdBox(created),
+        mp4Box('trak', tkhdBox(0, 0)), // Audio track first
+        mp4Box('trak', tkhdBox(1920, 1080)),
+        mp4Box('udta', xyzBox('+25.2702+091.7323+012.000/'))
+    );
+    const dir = createFolder(t, { 'clip.mp4': Buffer.concat([FTYP, moov, mp4Box('mdat', Buffer.alloc(256))]) });
+
+    assert.deepEqual(readMp4Info(path.join(dir, 'clip.mp4')), {
+        takenAt: '2025-03-14T10:00:00.000Z',
+        width: 1920,
+        height: 1080,
+        location: { lat: 25.2702, lng: 91.7323 }
+    });
+});
+
+test('readMp4Info finds moov after a large (64-bit) mdat and reads rotated tracks', (t) => {
+    const mdatHeader = Buffer.alloc(16);
+    mdatHeader.writeUInt32BE(1, 0);
+    mdatHeader.write('mdat', 4, 'latin1');
+    mdatHeader.writeBigUInt64BE(BigInt(16 + 4096), 8);
+    const moov = mp4Box('moov', mvhdBox(0), mp4Box('trak', tkhdBox(1920, 1080, true)));
+    const dir = createFolder(t, { 'phone.mp4': Buffer.concat([FTYP, mdatHeader, Buffer.alloc(4096), moov]) });
+
+    // A zero creation time is left out
+    assert.deepEqual(readMp4Info(path.join(dir, 'phone.mp4')), { width: 1080, height: 1920 });
+});
+
+test('readMp4Info reports files without moov, truncated and corrupt boxes', (t) => {
+    const cutMdat = mp4Box('mdat', Buffer.alloc(64)).subarray(0, 40);
+    const zeroSize = Buffer.concat([FTYP, Buffer.from([0, 0, 0, 4]), Buffer.from('free', 'latin1')]);
+    const dir = createFolder(t, {
+        'no-moov.mp4': Buffer.concat([FTYP, mp4Box('mdat', Buffer.alloc(64))]),
+        'cut.mp4': Buffer.concat([FTYP, cutMdat]),
+        'corrupt.mp4': zeroSize,
+        'short-mvhd.mp4': Buffer.concat([FTYP, mp4Box('moov', mp4Box('mvhd', Buffer.alloc(4)))])
+    });
+
+    assert.throws(() => readMp4Info(path.join(dir, 'no-moov.mp4')), /No moov box/);
+    assert.throws(() => readMp4Info(path.join(dir, 'cut.mp4')), /Truncated MP4/);
+    assert.throws(() => readMp4Info(path.join(dir, 'corrupt.mp4')), /Corrupt MP4 box/);
+    assert.deepEqual(readMp4Info(path.join(dir, 'short-mvhd.mp4')), {});
+});
+
+// ============================================================================
+// Files
+// ============================================================================
+
+test('readMediaInfo picks the reader by extension', (t) => {
+    const dir = createFolder(t, {
+        'a.JPG': buildJpeg({ width: 4, height: 3 }),
+        'b.png': buildPng({ width: 5, height: 6 }),
+        'c.webp': buildWebp([vp8lChunk(7, 8)]),
+        'd.m4v': Buffer.concat([FTYP, mp4Box('moov', mp4Box('trak', tkhdBox(9, 10)))])
+    });
+
+    assert.deepEqual(readMediaInfo(path.join(dir, 'a.JPG')), { type: 'photo', width: 4, height: 3, takenAt: undefined, location: undefined });
+    assert.equal(readMediaInfo(path.join(dir, 'b.png')).width, 5);
+    assert.equal(readMediaInfo(path.join(dir, 'c.webp')).height, 8);
+    assert.deepEqual(readMediaInfo(path.join(dir, 'd.m4v')), { type: 'video', width: 9, height: 10 });
+});
+
+test('readMediaInfo rejects photos without a readable size', (t) => {
+    const dir = createFolder(t, {
+        'bare.jpg': Buffer.from([0xFF, 0xD8]),
+        'cut.png': buildPng({ width: 10, height: 10 }).subarray(0, 20),
+        'broken.webp': buildWebp([riffChunk('VP8 ', Buffer.alloc(4))])
+    });
+
+    ['bare.jpg', 'cut.png', 'broken.webp'].forEach(name => {
+        assert.throws(() => readMediaInfo(path.join(dir, name)), /No image size found/, name);
+    });
+});
+
+test('readMediaInfo only reads the headers of large files', (t) => {
+    const jpeg = buildJpeg({ width: 4032, height: 3024, tiff: buildTiff(CAMERA_EXIF) });
+    const webp = buildWebp([
+        vp8xChunk(4000, 3000),
+        riffChunk('VP8 ', Buffer.concat([vp8Chunk(4000, 3000).subarray(8), Buffer.alloc(8 * 1024 * 1024)])),
+        riffChunk('EXIF', buildTiff(CAMERA_EXIF)) // After the image data, as encoders write it
+    ]);
+    const dir = createFolder(t, {
+        'large.jpg': Buffer.concat([jpeg, Buffer.alloc(8 * 1024 * 1024)]),
+        'large.webp': webp
+    });
+
+    const { readSync, readFileSync } = fs;
+    let bytesRead = 0;
+    t.after(() => {
+        Object.assign(fs, { readSync, readFileSync });
+    });
+    fs.readSync = (...args) => {
+        const count = readSync(...args);
+        bytesRead += count;
+        return count;
+    };
+    fs.readFileSync = (...args) => {
+        const contents = readFileSync(...args);
+        bytesRead += contents.length;
+        return contents;
+    };
+
+    const photo = readMediaInfo(path.join(dir, 'large.jpg'));
+    assert.equal(photo.width, 4032);
+    assert.ok(bytesRead <= 256 * 1024, `read ${bytesRead} bytes of the JPEG`);
+
+    bytesRead = 0;
+    const extended = readMediaInfo(path.join(dir, 'large.webp'));
+    assert.equal(extended.width, 4000);
+    assert.equal(extended.takenAt, '2025-03-14T23:10:05-08:00');
+    assert.ok(bytesRead < 4096, `read ${bytesRead} bytes of the WebP`);
+});
+
+test('readMediaInfo reads further when metadata pushes the JPEG size past the first read', (t) => {
+    // Five full APP2 segments (ICC profiles can be this large) before SOF
+    const icc = Array.from({ length: 5 }, () => jpegSegment(0xE2, Buffer.alloc(65533)));
+    const jpeg = buildJpeg({ width: 640, height: 480 });
+    const dir = createFolder(t, {
+        'icc.jpg': Buffer.concat([jpeg.subarray(0, 2), ...icc, jpeg.subarray(2)])
+    });
+
+    const info = readMediaInfo(path.join(dir, 'icc.jpg'));
+    assert.equal(info.width, 640);
+    assert.equal(info.height, 480);
+});
+
+test('buildManifest skips unreadable files with the reason and keeps the rest', (t) => {
+    const dir = createFolder(t, {
+        'IMG_0001.jpg': buildJpeg({ width: 4032, height: 3024, tiff: buildTiff(CAMERA_EXIF) }),
+        'IMG_0002.jpg': Buffer.from([0xFF, 0xD8]),
+        'notes.txt': 'not media'
+    });
+
+    const { manifest, skipped } = buildManifest({
+        folder: dir, out: path.join(dir, 'photos-data.json'), recursive: false, include: [], exclude: [], sort: 'date', reverse: false
+    });
+
+    assert.deepEqual(manifest.items, [{
+        id: 1,
+        type: 'photo',
+        src: 'IMG_0001.jpg',
+        takenAt: '2025-03-14T23:10:05-08:00',
+        width: 4032,
+        height: 3024,
+        location: { lat: 25.2702, lng: 91.7323 }
+    }]);
+    assert.deepEqual(skipped, [{ relativePath: 'IMG_0002.jpg', reason: 'No image size found (truncated or corrupt file?)' }]);
+});
@@ -0,0 +1,123 @@
+// MEGHTOSH islands.js tests
+// layout.js and islands.js are browser scripts; they run in a vm context with
+// the few page globals they read at load and layout time.
+//
+//   node --test test/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ITEM = 100;
+
+/**
+ * Load the layout scripts into a fresh context
+ * @param {Array} albums - MANIFEST_ALBUMS
+ * @returns {Object} The context; its functions and page globals can be used directly
+ */
+function loadIslands(albums) {
+    const context = vm.createContext({
+        console,
+        URLSearchParams,
+        window: { location: { search: '' } },
+        onViewerEvent: () => {},
+        MANIFEST_ALBUMS: albums,
+        GRID_COLUMNS: 10,
+        ITEM_SIZE: ITEM,
+        LOADED_ITEMS: [],
+        usingRealData: true
+    });
+    ['layout.js', 'islands.js'].forEach(file => {
+        const source = fs.readFileSync(path.join(__dirname, '..', file), 'utf8');
+        vm.runInContext(source, context, { filename: file });
+    });
+    return context;
+}
+
+function createItems(albumCounts) {
+    const items = [];
+    Object.entries(albumCounts).forEach(([album, count]) => {
+        for (let i = 0; i < count; i++) {
+            items.push({ id: `${album || 'none'}-${i}`, album: album || undefined });
+        }
+    });
+    return items;
+}
+
+const position = item => [item.x, item.y];
+const plain = value => JSON.parse(JSON.stringify(value));
+
+test('islands are packed left to right with a gap and wrap onto a new shelf', () => {
+    const context = loadIslands([{ id: 'a', title: 'Day 1' }, { id: 'b' }, { id: 'c' }, { id: 'empty' }]);
+    // Items without an album come last whatever their order
+    const items = createItems({ '': 1, b: 6, a: 4, c: 2 });
+    const byId = id => items.find(item => item.id === id);
+
+    const result = context.layoutAlbumIslands(items, context.layoutGrid, { columns: 10, itemSize: ITEM });
+
+    // Gap is 3 tiles: a (3x2 tiles) at 0, b (3x2) at 600. c (2 tiles) would end
+    // at 1400 > 1000, so it starts the next shelf below the tallest island.
+    assert.deepEqual(plain(result.islands), [
+        { id: 'a', label: 'Day 1', bounds: { left: 0, top: 0, right: 300, bottom: 200 }, itemCount: 4 },
+        { id: 'b', label: 'b', bounds: { left: 600, top: 0, right: 900, bottom: 200 }, itemCount: 6 },
+        { id: 'c', label: 'c', bounds: { left: 0, top: 500, right: 200, bottom: 600 }, itemCount: 2 },
+        { id: '', label: 'Other photos', bounds: { left: 500, top: 500, right: 600, bottom: 600 }, itemCount: 1 }
+    ]);
+    assert.equal(result.width, 900);
+    assert.equal(result.height, 600);
+    assert.deepEqual(plain(result.sections), []);
+
+    assert.deepEqual(['a-0', 'a-1', 'a-2', 'a-3'].map(id => position(byId(id))), [[0, 0], [100, 0], [200, 0], [0, 100]]);
+    assert.deepEqual(position(byId('b-0')), [600, 0]);
+    assert.deepEqual(position(byId('b-5')), [800, 100]);
+    assert.deepEqual(['c-0', 'c-1'].map(id => position(byId(id))), [[0, 500], [100, 500]]);
+    assert.deepEqual(position(byId('none-0')), [500, 500]);
+});
+
+test('sections of the layout are offset into their island with album-scoped ids', () => {
+    const context = loadIslands([{ id: 'a' }, { id: 'b' }]);
+    const items = [
+        { id: 1, album: 'a', takenAt: '2025-03-14T09:00:00+05:30' },
+        { id: 2, album: 'a', takenAt: '2025-03-14T10:00:00+05:30' },
+        { id: 3, album: 'a', takenAt: '2025-03-15T09:00:00+05:30' },
+        { id: 4, album: 'b', takenAt: '2025-03-16T09:00:00+05:30' }
+    ];
+
+    const result = context.layoutAlbumIslands(items, context.layoutTimeline, { columns: 10, itemSize: ITEM });
+
+    // Island a is 3 tiles wide, so its second day wraps below the first; the
+    // island is measured from what was placed (200 wide), not the 300 grid
+    assert.deepEqual(plain(result.islands.map(island => island.bounds)), [
+        { left: 0, top: 0, right: 200, bottom: 640 },
+        { left: 500, top: 0, right: 700, bottom: 220 }
+    ]);
+    assert.deepEqual(plain(result.sections.map(section => [section.id, section.x, section.y])), [
+        ['a/day-2025-03-14', 0, 0],
+        ['a/day-2025-03-15', 0, 420],
+        ['b/day-2025-03-16', 500, 0]
+    ]);
+    assert.deepEqual(plain(result.sections[2].bounds), { left: 500, top: 0, right: 700, bottom: 220 });
+    assert.deepEqual(position(items[2]), [0, 540]);
+    assert.deepEqual(position(items[3]), [500, 120]);
+    assert.equal(result.width, 700);
+    assert.equal(result.height, 640);
+});
+
+test('applyLayout only builds islands when the loaded items span several albums', () => {
+    const context = loadIslands([{ id: 'a' }, { id: 'b' }]);
+
+    context.LOADED_ITEMS = createItems({ a: 3 });
+    context.applyLayout(context.LOADED_ITEMS, 'grid');
+    assert.equal(vm.runInContext('LAYOUT_ISLANDS.length', context), 0);
+
+    context.LOADED_ITEMS = createItems({ a: 3, b: 2 });
+    context.applyLayout(context.LOADED_ITEMS, 'grid');
+    assert.deepEqual(plain(vm.runInContext('LAYOUT_ISLANDS.map(island => island.id)', context)), ['a', 'b']);
+
+    // Manifests without album ids (e.g. photos-data.json before --merge) stay one canvas
+    context.LOADED_ITEMS = createItems({ '': 5 });
+    context.applyLayout(context.LOADED_ITEMS, 'grid');
+    assert.equal(vm.runInContext('LAYOUT_ISLANDS.length', context), 0);
+});
@@ -0,0 +1,125 @@
+// MEGHTOSH zip.js tests
+// zip.js is a browser script; it runs in a vm context with Node's Blob and
+// web streams, and the archives it writes are read back here.
+//
+//   node --test test/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+function loadZip() {
+    const context = vm.createContext({ Blob, TextEncoder });
+    vm.runInContext(fs.readFileSync(path.join(__dirname, '..', 'zip.js'), 'utf8'), context, { filename: 'zip.js' });
+    return context;
+}
+
+const MODIFIED = new Date(2025, 2, 14, 10, 22, 0);
+
+async function writeArchive(context, output) {
+    const zip = vm.runInContext('output => new ZipWriter(output)', context)(output);
+    const names = [
+        await zip.addFile('day-1.jpg', new Blob(['hello']), MODIFIED),
+        await zip.addFile('day-1.jpg', new Blob(['']), MODIFIED),
+        await zip.addFile('notes/ünïcode.txt', new Blob(['meghtosh '.repeat(1000)]), MODIFIED)
+    ];
+    return { names, archive: await zip.finish() };
+}
+
+/**
+ * Read the central directory and each entry's local header, data and descriptor
+ * @returns {Array} [{name, flags, crc, size, data, descriptor: {crc, size}}]
+ */
+function readArchive(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const end = bytes.length - 22;
+    assert.equal(view.getUint32(end, true), 0x06054b50);
+    const count = view.getUint16(end + 10, true);
+    let record = view.getUint32(end + 16, true);
+
+    const entries = [];
+    for (let i = 0; i < count; i++) {
+        assert.equal(view.getUint32(record, true), 0x02014b50);
+        const nameLength = view.getUint16(record + 28, true);
+        const size = view.getUint32(record + 24, true);
+        const offset = view.getUint32(record + 42, true);
+
+        assert.equal(view.getUint32(offset, true), 0x04034b50);
+        assert.equal(view.getUint32(offset + 14, true), 0, 'local header leaves the CRC to the descriptor');
+        const dataStart = offset + 30 + view.getUint16(offset + 26, true);
+        const descriptor = dataStart + size;
+        assert.equal(view.getUint32(descriptor, true), 0x08074b50);
+
+        entries.push({
+            name: Buffer.from(bytes.subarray(record + 46, record + 46 + nameLength)).toString('utf8'),
+            flags: view.getUint16(offset + 6, true),
+            crc: view.getUint32(record + 16, true),
+            size,
+            data: Buffer.from(bytes.subarray(dataStart, dataStart + size)).toString('utf8'),
+            descriptor: { crc: view.getUint32(descriptor + 4, true), size: view.getUint32(descriptor + 8, true) }
+        });
+        record += 46 + nameLength;
+    }
+    return entries;
+}
+
+test('entries are stored with data descriptors and unique names', async () => {
+    const { names, archive } = await writeArchive(loadZip());
+    const entries = readArchive(new Uint8Array(await archive.arrayBuffer()));
+
+    assert.equal(archive.type, 'application/zip');
+    assert.deepEqual(names, ['day-1.jpg', 'day-1-2.jpg', 'notes/ünïcode.txt']);
+    assert.deepEqual(entries.map(entry => entry.name), names);
+    assert.ok(entries.every(entry => entry.flags === 0x0808));
+    assert.deepEqual(entries.map(entry => entry.descriptor), entries.map(({ crc, size }) => ({ crc, size })));
+
+    assert.equal(entries[0].data, 'hello');
+    assert.equal(entries[0].crc, 0x3610a686);
+    assert.deepEqual([entries[1].crc, entries[1].size], [0, 0]);
+    assert.equal(entries[2].data, 'meghtosh '.repeat(1000));
+});
+
+test('crc32 gives the same result when fed in chunks', () => {
+    const context = loadZip();
+    const bytes = new TextEncoder().encode('The quick brown fox jumps over the lazy dog');
+
+    assert.equal(context.crc32(bytes), 0x414fa339);
+    assert.equal(context.crc32(bytes.subarray(10), context.crc32(bytes.subarray(0, 10))), 0x414fa339);
+});
+
+test('an output stream receives the same archive as the Blob and is closed', async () => {
+    const context = loadZip();
+    const { archive } = await writeArchive(context);
+
+    const chunks = [];
+    let closed = false;
+    const output = new WritableStream({
+        async write(chunk) {
+            chunks.push(Buffer.from(chunk instanceof Blob ? await chunk.arrayBuffer() : chunk));
+        },
+        close() {
+            closed = true;
+        }
+    });
+    const streamed = await writeArchive(context, output);
+
+    assert.equal(streamed.archive, null);
+    assert.ok(closed);
+    assert.deepEqual(Buffer.concat(chunks), Buffer.from(await archive.arrayBuffer()));
+});
+
+test('archives built in memory stop at ZIP_MEMORY_LIMIT', async () => {
+    const context = loadZip();
+    const zip = vm.runInContext('new ZipWriter()', context);
+    await zip.addFile('small.jpg', new Blob(['x']), MODIFIED);
+
+    const limit = vm.runInContext('ZIP_MEMORY_LIMIT', context);
+    const huge = { size: limit, stream: () => assert.fail('should not be read') };
+    await assert.rejects(zip.addFile('huge.mp4', huge), error => error.name === 'RangeError' && /512 MB/.test(error.message));
+
+    // The archive is still complete without it
+    const entries = readArchive(new Uint8Array(await (await zip.finish()).arrayBuffer()));
+    assert.deepEqual(entries.map(entry => entry.name), ['small.jpg']);
+});
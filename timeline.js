@@ -0,0 +1,61 @@
+// MEGHTOSH Timeline Menu
+// Jump-to-day menu for the timeline layout; flies the camera to a day cluster
+// Note: sections come from LAYOUT_SECTIONS in layout.js
+
+const timelineMenuState = {
+    elements: null
+};
+
+function getTimelineMenuElements() {
+    if (timelineMenuState.elements) return timelineMenuState.elements;
+
+    const nav = document.createElement('nav');
+    nav.className = 'timeline-nav';
+    nav.hidden = true;
+    nav.setAttribute('aria-label', 'Jump to day');
+
+    const title = document.createElement('div');
+    title.className = 'timeline-nav-title';
+    title.textContent = 'Days';
+
+    const list = document.createElement('ol');
+    list.className = 'timeline-nav-list';
+
+    nav.append(title, list);
+    document.body.appendChild(nav);
+
+    timelineMenuState.elements = { nav, list };
+    return timelineMenuState.elements;
+}
+
+/**
+ * Rebuild the menu from the current layout's sections (hidden outside timeline mode)
+ */
+function updateTimelineMenu() {
+    const { nav, list } = getTimelineMenuElements();
+    const showMenu = LAYOUT_MODE === 'timeline' && usingRealData && LAYOUT_SECTIONS.length > 0;
+
+    nav.hidden = !showMenu;
+    list.replaceChildren();
+    if (!showMenu) return;
+
+    LAYOUT_SECTIONS.forEach(section => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'timeline-nav-button';
+        button.title = section.sublabel;
+
+        const label = document.createElement('span');
+        label.textContent = section.label;
+        const count = document.createElement('span');
+        count.className = 'timeline-nav-count';
+        count.textContent = section.itemCount;
+
+        button.append(label, count);
+        button.addEventListener('click', () => fitCameraToRect(getNearestRepeatRect(section.bounds)));
+
+        const entry = document.createElement('li');
+        entry.appendChild(button);
+        list.appendChild(entry);
+    });
+}
@@ -0,0 +1,146 @@
+// MEGHTOSH Placeholder World
+// Unbounded random-topic world built from square chunks of tiles. Every tile is
+// derived from (seed, column, row), so chunks can be generated lazily as the
+// camera approaches, dropped when it leaves, and come back identical.
+// Note: ITEM_SIZE, selectedTopic and ITEM_INDEX are defined in data.js
+
+const WORLD_CHUNK_TILES = 10; // Chunks are WORLD_CHUNK_TILES x WORLD_CHUNK_TILES tiles
+const WORLD_KEEP_MARGIN = 1; // Chunks kept around the visible ones before being dropped
+let WORLD_VIDEO_RATIO = VIEWER_CONFIG.videoRatio; // Share of tiles that are (placeholder) videos (config.js)
+const WORLD_IMAGE_VARIANTS = 10000; // Distinct Picsum seeds per topic
+
+const worldState = {
+    chunks: new Map() // Map<"cx,cy", {cx, cy, items}>
+};
+
+/**
+ * 32-bit FNV-1a hash of a string
+ */
+function hashString(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Small seeded PRNG (mulberry32) returning floats in [0, 1)
+ */
+function createRandom(seed) {
+    let value = seed >>> 0;
+    return () => {
+        value = (value + 0x6D2B79F5) >>> 0;
+        let t = value;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Id of the tile at a grid position, e.g. "12_-3"
+ */
+function getWorldTileId(column, row) {
+    return `${column}_${row}`;
+}
+
+/**
+ * Generate the tile at a grid position (same seed and position, same tile)
+ * @param {number} column - Grid column (may be negative)
+ * @param {number} row - Grid row (may be negative)
+ * @param {string} seed - Topic the world is built from
+ * @returns {Object} Item with id, type, src, x, y, w, h, column, row, topic
+ */
+function generateWorldTile(column, row, seed = selectedTopic) {
+    const random = createRandom(hashString(`${seed}:${column}:${row}`));
+
+    // Mix of photos and videos (mostly photos)
+    const isVideo = random() < WORLD_VIDEO_RATIO;
+    const imageId = Math.floor(random() * WORLD_IMAGE_VARIANTS);
+
+    // For videos, we'll use placeholder video URLs (Picsum doesn't have videos)
+    // In production, these would be real video URLs
+    const src = isVideo
+        ? 'https://sample-videos.com/video123/mp4/720/big_buck_bunny_720p_1mb.mp4'
+        : `https://picsum.photos/seed/${seed}-${imageId}/200`;
+
+    return {
+        id: getWorldTileId(column, row),
+        type: isVideo ? 'video' : 'photo',
+        src,
+        x: column * ITEM_SIZE,
+        y: row * ITEM_SIZE,
+        w: ITEM_SIZE,
+        h: ITEM_SIZE,
+        column,
+        row,
+        topic: seed
+    };
+}
+
+/**
+ * Generate all tiles of a chunk
+ */
+function generateWorldChunk(cx, cy, seed = selectedTopic) {
+    const items = [];
+    for (let j = 0; j < WORLD_CHUNK_TILES; j++) {
+        for (let i = 0; i < WORLD_CHUNK_TILES; i++) {
+            items.push(generateWorldTile(cx * WORLD_CHUNK_TILES + i, cy * WORLD_CHUNK_TILES + j, seed));
+        }
+    }
+    return { cx, cy, items };
+}
+
+/**
+ * Re-create a world tile from its id, even when its chunk isn't loaded
+ * @returns {Object|null} Item, or null for ids that aren't world tiles
+ */
+function getWorldItem(itemId) {
+    const match = String(itemId).match(/^(-?\d+)_(-?\d+)$/);
+    return match ? generateWorldTile(Number(match[1]), Number(match[2])) : null;
+}
+
+/**
+ * Load the chunks around the camera and drop far-away ones, so memory stays
+ * constant however far the user pans. Does nothing for manifest data.
+ * @returns {boolean} True when chunks were added or removed
+ */
+function updateWorldChunks() {
+    if (usingRealData) return false;
+
+    const chunkSize = WORLD_CHUNK_TILES * ITEM_SIZE;
+    const { add, remove } = diffGridCells(
+        worldState.chunks.keys(), calculateViewportBounds(), chunkSize, chunkSize, WORLD_KEEP_MARGIN
+    );
+
+    remove.forEach(key => {
+        worldState.chunks.get(key).items.forEach(item => ITEM_INDEX.remove(item.id));
+        worldState.chunks.delete(key);
+    });
+
+    add.forEach(({ i, j, key }) => {
+        const chunk = generateWorldChunk(i, j);
+        worldState.chunks.set(key, chunk);
+        ITEM_INDEX.insertAll(chunk.items);
+    });
+
+    const changed = add.length > 0 || remove.length > 0;
+    if (changed) {
+        ITEM_DATA = Array.from(worldState.chunks.values()).flatMap(chunk => chunk.items);
+        updateCanvasSize();
+    }
+    return changed;
+}
+
+/**
+ * Forget all chunks (when manifest data replaces the placeholder world)
+ */
+function clearWorldChunks() {
+    worldState.chunks.clear();
+}
+
+onViewerEvent('configchange', ({ detail }) => {
+    WORLD_VIDEO_RATIO = detail.config.videoRatio;
+});
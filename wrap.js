@@ -0,0 +1,266 @@
+// MEGHTOSH Wrap-around Mode
+// Repeats a real album in every direction so manifests get the same endless
+// canvas as the placeholder world. Each repetition is a copy of the laid-out
+// album shifted by the album's size; copies are created near the camera and
+// dropped when far away, like world.js chunks.
+// Note: ITEM_DATA always holds the album itself; copies only live in ITEM_INDEX
+
+const WRAP_MODES = ['off', 'repeat', 'shuffle'];
+const WRAP_KEEP_MARGIN = 1; // Repetitions kept around the visible ones before being dropped
+
+const wrapState = {
+    mode: getInitialWrapMode(),
+    repeats: new Map(), // Map<"i,j", {i, j, items}>
+    period: null, // {width, height} of one repetition
+    sections: [] // Layout sections of the loaded repetitions
+};
+
+/**
+ * Pick the mode from ?wrap=repeat|shuffle (?wrap=1 means repeat)
+ */
+function getInitialWrapMode() {
+    const value = new URLSearchParams(window.location.search).get('wrap');
+    if (value === null || value === '0' || value === 'off') return 'off';
+    if (value === '' || value === '1') return 'repeat';
+    if (!WRAP_MODES.includes(value)) {
+        console.warn(`Unknown wrap mode "${value}", using repeat. Available: ${WRAP_MODES.join(', ')}`);
+        return 'repeat';
+    }
+    return value;
+}
+
+function isWrapping() {
+    return usingRealData && wrapState.mode !== 'off' && ITEM_DATA.length > 0;
+}
+
+/**
+ * Size of one repetition: the laid-out album plus a gap for layouts with
+ * labelled sections or album islands, so they don't touch across the seam
+ */
+function getWrapPeriod() {
+    if (wrapState.period) return wrapState.period;
+
+    let width = 0;
+    let height = 0;
+    ITEM_DATA.forEach(item => {
+        width = Math.max(width, item.x + item.w);
+        height = Math.max(height, item.y + item.h);
+    });
+    LAYOUT_SECTIONS.forEach(section => {
+        width = Math.max(width, section.bounds.right);
+        height = Math.max(height, section.bounds.bottom);
+    });
+
+    const gap = LAYOUT_ISLANDS.length > 0 ? ISLAND_GAP_TILES * ITEM_SIZE
+        : LAYOUT_SECTIONS.length > 0 ? TIMELINE_CLUSTER_GAP : 0;
+    wrapState.period = { width: width + gap, height: height + gap };
+    return wrapState.period;
+}
+
+/**
+ * Id of an item's copy in repetition (i, j); the original keeps its own id
+ */
+function getWrappedItemId(itemId, i, j) {
+    return i === 0 && j === 0 ? String(itemId) : `${itemId}@${i},${j}`;
+}
+
+/**
+ * Slot order for a shuffled repetition: item n takes the place of item slots[n].
+ * Only the grid layout has interchangeable slots; other layouts repeat as-is.
+ */
+function getRepeatSlots(i, j) {
+    if (wrapState.mode !== 'shuffle' || (i === 0 && j === 0) || LAYOUT_MODE !== 'grid') return null;
+
+    const slots = ITEM_DATA.map((item, index) => index);
+    const random = createRandom(hashString(`${selectedTopic}:wrap:${i}:${j}`));
+    for (let n = slots.length - 1; n > 0; n--) {
+        const swap = Math.floor(random() * (n + 1));
+        [slots[n], slots[swap]] = [slots[swap], slots[n]];
+    }
+    return slots;
+}
+
+/**
+ * Copy of one album item placed in repetition (i, j)
+ */
+function createWrappedItem(index, i, j, slots) {
+    const item = ITEM_DATA[index];
+    if (i === 0 && j === 0) return item;
+
+    const period = getWrapPeriod();
+    const slot = slots ? ITEM_DATA[slots[index]] : item;
+    return {
+        ...item,
+        id: getWrappedItemId(item.id, i, j),
+        baseId: item.id,
+        x: slot.x + i * period.width,
+        y: slot.y + j * period.height,
+        w: slot.w,
+        h: slot.h,
+        column: slot.column,
+        row: slot.row
+    };
+}
+
+function createRepeat(i, j) {
+    const slots = getRepeatSlots(i, j);
+    return {
+        i,
+        j,
+        items: ITEM_DATA.map((item, index) => createWrappedItem(index, i, j, slots))
+    };
+}
+
+/**
+ * Re-create a wrapped copy from its id (e.g. "42@1,-2"), even when its repetition
+ * isn't loaded. A bare album id (the origin repetition was dropped from the
+ * index) gives the copy nearest the camera.
+ * @returns {Object|null} Item, or null when the id isn't an album item or a copy of one
+ */
+function getWrappedItem(itemId) {
+    if (!isWrapping()) return null;
+
+    const match = String(itemId).match(/^(.+)@(-?\d+),(-?\d+)$/);
+    const baseId = match ? match[1] : String(itemId);
+    const index = ITEM_DATA.findIndex(item => String(item.id) === baseId);
+    if (index === -1) return null;
+
+    const { i, j } = match
+        ? { i: Number(match[2]), j: Number(match[3]) }
+        : getNearestRepeat(ITEM_INDEX.getItemRect(ITEM_DATA[index]));
+    return createWrappedItem(index, i, j, getRepeatSlots(i, j));
+}
+
+/**
+ * Load the repetitions around the camera and drop far-away ones
+ * @returns {boolean} True when repetitions were added or removed
+ */
+function updateWrapRepeats() {
+    if (!isWrapping()) return false;
+
+    // The album itself sits in the index from setItemData(); track it like any other repetition
+    if (wrapState.repeats.size === 0 && ITEM_INDEX.has(ITEM_DATA[0].id)) {
+        wrapState.repeats.set('0,0', { i: 0, j: 0, items: ITEM_DATA });
+    }
+
+    const period = getWrapPeriod();
+    const { add, remove } = diffGridCells(
+        wrapState.repeats.keys(), calculateViewportBounds(), period.width, period.height, WRAP_KEEP_MARGIN
+    );
+
+    remove.forEach(key => {
+        wrapState.repeats.get(key).items.forEach(item => ITEM_INDEX.remove(item.id));
+        wrapState.repeats.delete(key);
+    });
+
+    add.forEach(({ i, j, key }) => {
+        const repeat = createRepeat(i, j);
+        wrapState.repeats.set(key, repeat);
+        ITEM_INDEX.insertAll(repeat.items);
+    });
+
+    const changed = add.length > 0 || remove.length > 0;
+    if (changed) {
+        updateWrapSections();
+        updateCanvasSize();
+    }
+    return changed;
+}
+
+/**
+ * Copy the layout's section headers into every loaded repetition
+ */
+function updateWrapSections() {
+    const period = getWrapPeriod();
+    wrapState.sections = [];
+
+    wrapState.repeats.forEach(({ i, j }) => {
+        const dx = i * period.width;
+        const dy = j * period.height;
+        LAYOUT_SECTIONS.forEach(section => {
+            wrapState.sections.push({
+                ...section,
+                id: getWrappedItemId(section.id, i, j),
+                x: section.x + dx,
+                y: section.y + dy,
+                bounds: {
+                    left: section.bounds.left + dx,
+                    top: section.bounds.top + dy,
+                    right: section.bounds.right + dx,
+                    bottom: section.bounds.bottom + dy
+                }
+            });
+        });
+    });
+}
+
+/**
+ * Section headers to render: the layout's own, or their copies when wrapping
+ */
+function getActiveSections() {
+    return isWrapping() ? wrapState.sections : LAYOUT_SECTIONS;
+}
+
+/**
+ * Repetition whose copy of a rectangle of the album is nearest the camera
+ * @returns {Object} {i, j}
+ */
+function getNearestRepeat(rect) {
+    const period = getWrapPeriod();
+    const center = screenToWorld(state.viewportWidth / 2, state.viewportHeight / 2);
+    return {
+        i: Math.round((center.x - (rect.left + rect.right) / 2) / period.width),
+        j: Math.round((center.y - (rect.top + rect.bottom) / 2) / period.height)
+    };
+}
+
+/**
+ * Move a rectangle of the album into the repetition nearest the camera
+ * (so jumping to a section doesn't fly back to the origin)
+ */
+function getNearestRepeatRect(rect) {
+    if (!isWrapping()) return rect;
+
+    const period = getWrapPeriod();
+    const { i, j } = getNearestRepeat(rect);
+    const dx = i * period.width;
+    const dy = j * period.height;
+
+    return { left: rect.left + dx, top: rect.top + dy, right: rect.right + dx, bottom: rect.bottom + dy };
+}
+
+/**
+ * Forget all repetitions (the album changed or was re-laid out)
+ */
+function clearWrapRepeats() {
+    wrapState.repeats.clear();
+    wrapState.sections = [];
+    wrapState.period = null;
+}
+
+/**
+ * Switch wrap mode at runtime ('off', 'repeat' or 'shuffle')
+ */
+function setWrapMode(mode) {
+    if (!WRAP_MODES.includes(mode)) {
+        console.warn(`Unknown wrap mode "${mode}"`);
+        return;
+    }
+    if (mode === 'shuffle' && LAYOUT_MODE !== 'grid') {
+        console.info('🔁 Shuffled repetitions need the grid layout; other layouts repeat as-is');
+    }
+
+    wrapState.mode = mode;
+    if (!usingRealData) return;
+
+    const anchor = findItemNearestViewportCenter();
+    setItemData(ITEM_DATA);
+    initializeCanvas();
+
+    if (anchor) {
+        // Copies disappear when wrapping is turned off; fall back to the original
+        centerOnItem(findItemById(anchor.id) || ITEM_INDEX.get(anchor.baseId ?? anchor.id));
+    } else {
+        loadFromCenter();
+    }
+}
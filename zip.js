@@ -0,0 +1,194 @@
+// MEGHTOSH ZIP Writer
+// Minimal in-browser ZIP builder (stored entries, no compression - photos and
+// videos are already compressed). Entries are written with data descriptors,
+// so each file is checksummed while it streams: straight into a file on disk
+// when given a WritableStream (showSaveFilePicker), otherwise into Blob parts.
+
+const ZIP_MAX_ENTRIES = 0xffff; // No ZIP64 support
+const ZIP_MAX_SIZE = 0xffffffff;
+const ZIP_MEMORY_LIMIT = 512 * 1024 * 1024; // Archives built as a Blob are held in memory until saved
+const ZIP_FLAGS = 0x0808; // Sizes and CRC follow the data (bit 3), UTF-8 file names (bit 11)
+
+// CRC-32 lookup table (IEEE polynomial)
+const CRC32_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+/**
+ * Compute the CRC-32 of a byte array
+ * @param {Uint8Array} bytes - Data
+ * @param {number} previous - CRC of the data before these bytes, to checksum in chunks
+ */
+function crc32(bytes, previous = 0) {
+    let crc = previous ^ 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Convert a Date to MS-DOS time and date fields
+ */
+function toDosDateTime(date) {
+    const year = Math.max(1980, date.getFullYear());
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+class ZipWriter {
+    /**
+     * @param {WritableStream} output - Stream the archive into (e.g. from showSaveFilePicker);
+     *   without one, finish() returns a Blob that may be at most ZIP_MEMORY_LIMIT bytes
+     */
+    constructor(output = null) {
+        this.writer = output ? output.getWriter() : null;
+        this.maxSize = output ? ZIP_MAX_SIZE : ZIP_MEMORY_LIMIT;
+        this.parts = []; // Blob parts in file order (without an output stream)
+        this.entries = []; // Central directory records
+        this.offset = 0;
+        this.names = new Set();
+    }
+
+    /**
+     * Make a file name unique within the archive ("a.jpg" -> "a-2.jpg")
+     */
+    uniqueName(name) {
+        if (!this.names.has(name)) return name;
+
+        const dot = name.lastIndexOf('.');
+        const stem = dot > 0 ? name.slice(0, dot) : name;
+        const extension = dot > 0 ? name.slice(dot) : '';
+        let counter = 2;
+        while (this.names.has(`${stem}-${counter}${extension}`)) counter++;
+        return `${stem}-${counter}${extension}`;
+    }
+
+    async write(part) {
+        if (this.writer) {
+            await this.writer.write(part);
+        } else {
+            this.parts.push(part);
+        }
+    }
+
+    /**
+     * Add a file to the archive
+     * @param {string} name - Path inside the archive
+     * @param {Blob} blob - File contents
+     * @param {Date} modified - Modification time
+     * @returns {Promise<string>} The (possibly de-duplicated) name used
+     */
+    async addFile(name, blob, modified = new Date()) {
+        if (this.entries.length >= ZIP_MAX_ENTRIES) {
+            throw new RangeError(`ZIP archives are limited to ${ZIP_MAX_ENTRIES} files`);
+        }
+
+        const finalName = this.uniqueName(name);
+        const nameBytes = new TextEncoder().encode(finalName);
+        const entrySize = 30 + nameBytes.length + blob.size + 16;
+        if (this.offset + entrySize > this.maxSize) {
+            throw new RangeError(this.writer
+                ? 'ZIP archive would exceed 4 GB'
+                : `ZIP archive would exceed ${Math.round(this.maxSize / 1024 / 1024)} MB (this browser can't save it to disk as it is written)`);
+        }
+        const { time, date } = toDosDateTime(modified);
+
+        // CRC and sizes are left 0 here and written after the data
+        const header = new DataView(new ArrayBuffer(30));
+        header.setUint32(0, 0x04034b50, true); // Local file header signature
+        header.setUint16(4, 20, true); // Version needed to extract
+        header.setUint16(6, ZIP_FLAGS, true);
+        header.setUint16(8, 0, true); // Method: stored
+        header.setUint16(10, time, true);
+        header.setUint16(12, date, true);
+        header.setUint16(26, nameBytes.length, true);
+        header.setUint16(28, 0, true); // Extra field length
+
+        await this.write(header.buffer);
+        await this.write(nameBytes);
+
+        let crc = 0;
+        const reader = blob.stream().getReader();
+        for (;;) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            crc = crc32(value, crc);
+            if (this.writer) await this.writer.write(value);
+        }
+        if (!this.writer) this.parts.push(blob);
+
+        const descriptor = new DataView(new ArrayBuffer(16));
+        descriptor.setUint32(0, 0x08074b50, true); // Data descriptor signature
+        descriptor.setUint32(4, crc, true);
+        descriptor.setUint32(8, blob.size, true); // Compressed size
+        descriptor.setUint32(12, blob.size, true); // Uncompressed size
+        await this.write(descriptor.buffer);
+
+        this.entries.push({ nameBytes, crc, size: blob.size, time, date, offset: this.offset });
+        this.names.add(finalName);
+        this.offset += entrySize;
+
+        return finalName;
+    }
+
+    /**
+     * Write the central directory and finish the archive
+     * @returns {Promise<Blob|null>} application/zip blob, or null once the output stream is closed
+     */
+    async finish() {
+        const centralStart = this.offset;
+        let centralSize = 0;
+
+        for (const entry of this.entries) {
+            const record = new DataView(new ArrayBuffer(46));
+            record.setUint32(0, 0x02014b50, true); // Central directory signature
+            record.setUint16(4, 20, true); // Version made by
+            record.setUint16(6, 20, true); // Version needed to extract
+            record.setUint16(8, ZIP_FLAGS, true);
+            record.setUint16(10, 0, true);
+            record.setUint16(12, entry.time, true);
+            record.setUint16(14, entry.date, true);
+            record.setUint32(16, entry.crc, true);
+            record.setUint32(20, entry.size, true);
+            record.setUint32(24, entry.size, true);
+            record.setUint16(28, entry.nameBytes.length, true);
+            // Extra, comment, disk number, internal and external attributes stay 0
+            record.setUint32(42, entry.offset, true);
+
+            await this.write(record.buffer);
+            await this.write(entry.nameBytes);
+            centralSize += 46 + entry.nameBytes.length;
+        }
+
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true); // End of central directory signature
+        end.setUint16(8, this.entries.length, true);
+        end.setUint16(10, this.entries.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, centralStart, true);
+        await this.write(end.buffer);
+
+        if (!this.writer) return new Blob(this.parts, { type: 'application/zip' });
+        await this.writer.close();
+        return null;
+    }
+
+    /**
+     * Give up on the archive, discarding what was streamed so far
+     */
+    async abort(reason) {
+        if (this.writer) await this.writer.abort(reason);
+        this.parts = [];
+    }
+}